@@ -15,6 +15,15 @@ const categoryRoutes = require('../routes/categories');
 const contactRoutes = require('../routes/contact');
 const messageRoutes = require('../routes/messages');
 const dashboardRoutes = require('../routes/dashboard');
+const userRoutes = require('../routes/users');
+const settingRoutes = require('../routes/settings');
+const apiKeyRoutes = require('../routes/apiKeys');
+const auditRoutes = require('../routes/audit');
+const inventoryRoutes = require('../routes/inventory');
+const importRoutes = require('../routes/import');
+const exportRoutes = require('../routes/export');
+const trashRoutes = require('../routes/trash');
+const { publishLegacyProducts } = require('../utils/publishing');
 
 const app = express();
 
@@ -65,6 +74,14 @@ async function connectToDatabase() {
 
     cachedConnection = connection;
     console.log('Connected to MongoDB');
+
+    // Once per cold start; a no-op once every product has a status
+    try {
+      await publishLegacyProducts();
+    } catch (error) {
+      console.error('Publish legacy products error:', error);
+    }
+
     return connection;
   } catch (error) {
     console.error('MongoDB connection error:', error);
@@ -95,6 +112,14 @@ app.use('/api/categories', categoryRoutes);
 app.use('/api/contact', contactRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/settings', settingRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/inventory', inventoryRoutes);
+app.use('/api/import', importRoutes);
+app.use('/api/export', exportRoutes);
+app.use('/api/trash', trashRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -121,7 +146,15 @@ app.get('/', (req, res) => {
       categories: '/api/categories',
       contact: '/api/contact',
       messages: '/api/messages',
-      dashboard: '/api/dashboard'
+      dashboard: '/api/dashboard',
+      users: '/api/users',
+      settings: '/api/settings',
+      apiKeys: '/api/api-keys',
+      audit: '/api/audit',
+      inventory: '/api/inventory',
+      import: '/api/import',
+      export: '/api/export',
+      trash: '/api/trash'
     }
   });
 });
@@ -9,6 +9,9 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET
 });
 
+// Shown for products that have no image of their own
+const PLACEHOLDER_IMAGE = 'https://via.placeholder.com/300x300?text=No+Image';
+
 // Storage configuration for image-only uploads
 const createImageStorage = (folder) => {
   return new CloudinaryStorage({
@@ -120,6 +123,17 @@ const deleteAsset = async (publicId, resourceType = 'image') => {
 const deleteImage = async (publicId) => deleteAsset(publicId, 'image');
 const deleteRaw = async (publicId) => deleteAsset(publicId, 'raw');
 
+// Delete several images, logging rather than failing on errors
+const deleteImages = async (publicIds) => {
+  for (const publicId of publicIds.filter(Boolean)) {
+    try {
+      await deleteImage(publicId);
+    } catch (error) {
+      console.error('Error deleting image:', error);
+    }
+  }
+};
+
 // Helper function to extract public ID from Cloudinary URL
 const extractPublicId = (url) => {
   try {
@@ -150,7 +164,9 @@ module.exports = {
   uploadCertificate,
   uploadTeam,
   deleteImage,
+  deleteImages,
   deleteRaw,
   deleteAsset,
-  extractPublicId
+  extractPublicId,
+  PLACEHOLDER_IMAGE
 };
\ No newline at end of file
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+
+// Transport selected by MAIL_TRANSPORT: 'smtp', 'file' or 'console'. Defaults
+// to 'smtp' in production and 'console' elsewhere.
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || (IS_PRODUCTION ? 'smtp' : 'console');
+
+// The local transports would put live reset links in the logs or on disk
+if (IS_PRODUCTION && ['console', 'file'].includes(MAIL_TRANSPORT)) {
+  throw new Error(`MAIL_TRANSPORT "${MAIL_TRANSPORT}" is for local testing only and cannot be used in production`);
+}
+const MAIL_FROM = process.env.MAIL_FROM || 'Herbs Dashboard <no-reply@herbs.com>';
+const MAIL_FILE_DIR = process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'tmp', 'mail');
+
+// SMTP transport for real delivery
+const createSmtpTransport = () => {
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASSWORD
+    } : undefined
+  });
+};
+
+// Writes each message as an .eml file for local testing
+const createFileTransport = () => {
+  const transport = nodemailer.createTransport({
+    streamTransport: true,
+    buffer: true,
+    newline: 'unix'
+  });
+
+  return {
+    sendMail: async (options) => {
+      const info = await transport.sendMail(options);
+      await fs.promises.mkdir(MAIL_FILE_DIR, { recursive: true });
+      const filename = path.join(MAIL_FILE_DIR, `${Date.now()}-${info.messageId.replace(/[<>@]/g, '')}.eml`);
+      await fs.promises.writeFile(filename, info.message);
+      console.log(`Mail written to ${filename}`);
+      return info;
+    }
+  };
+};
+
+// Prints each message to the console for local testing
+const createConsoleTransport = () => {
+  const transport = nodemailer.createTransport({ jsonTransport: true });
+
+  return {
+    sendMail: async (options) => {
+      const info = await transport.sendMail(options);
+      const message = JSON.parse(info.message);
+      console.log('Mail (console transport):');
+      console.log(`  To: ${options.to}`);
+      console.log(`  Subject: ${message.subject}`);
+      console.log(message.text);
+      return info;
+    }
+  };
+};
+
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+let transporter = null;
+
+// Lazily create the configured transport
+const getTransporter = () => {
+  if (!transporter) {
+    const factory = transports[MAIL_TRANSPORT];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${MAIL_TRANSPORT}`);
+    }
+    transporter = factory();
+  }
+  return transporter;
+};
+
+// Helper function to send an email through the configured transport
+const sendMail = async ({ to, subject, text, html }) => {
+  try {
+    return await getTransporter().sendMail({
+      from: MAIL_FROM,
+      to,
+      subject,
+      text,
+      html
+    });
+  } catch (error) {
+    console.error('Error sending mail:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  sendMail
+};
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const readInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const readBool = (name, fallback) => {
+  if (process.env[name] === undefined) return fallback;
+  return process.env[name] === 'true';
+};
+
+// Password rules, configurable through environment variables
+const policy = {
+  minLength: readInt('PASSWORD_MIN_LENGTH', 10),
+  maxLength: 128,
+  requireUppercase: readBool('PASSWORD_REQUIRE_UPPERCASE', true),
+  requireLowercase: readBool('PASSWORD_REQUIRE_LOWERCASE', true),
+  requireNumber: readBool('PASSWORD_REQUIRE_NUMBER', true),
+  requireSymbol: readBool('PASSWORD_REQUIRE_SYMBOL', false),
+  rejectCommon: readBool('PASSWORD_REJECT_COMMON', true),
+  // Number of previous passwords that cannot be reused (0 disables)
+  historyCount: readInt('PASSWORD_HISTORY_COUNT', 5),
+  // Days after which a password must be changed (0 disables)
+  maxAgeDays: readInt('PASSWORD_MAX_AGE_DAYS', 0)
+};
+
+// Common/breached passwords shipped with the app
+let commonPasswords = null;
+const getCommonPasswords = () => {
+  if (!commonPasswords) {
+    const file = path.join(__dirname, 'common-passwords.txt');
+    commonPasswords = new Set(
+      fs.readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+  return commonPasswords;
+};
+
+// Check a plain password against the policy, returning a list of problems
+const validatePassword = (password, { email } = {}) => {
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters long`);
+  }
+  if (typeof password !== 'string') return errors;
+
+  if (password.length > policy.maxLength) {
+    errors.push(`Password cannot exceed ${policy.maxLength} characters`);
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push('Password must contain an uppercase letter');
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push('Password must contain a lowercase letter');
+  }
+  if (policy.requireNumber && !/\d/.test(password)) {
+    errors.push('Password must contain a number');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push('Password must contain a symbol');
+  }
+  if (policy.rejectCommon && getCommonPasswords().has(password.toLowerCase())) {
+    errors.push('Password is too common');
+  }
+  if (email) {
+    const localPart = email.split('@')[0].toLowerCase();
+    if (localPart.length >= 3 && password.toLowerCase().includes(localPart)) {
+      errors.push('Password cannot contain your email address');
+    }
+  }
+
+  return errors;
+};
+
+// Generate a random password that satisfies the policy
+const generatePassword = () => {
+  const length = Math.max(policy.minLength, 16);
+  const required = ['ABCDEFGHJKLMNPQRSTUVWXYZ', 'abcdefghijkmnopqrstuvwxyz', '23456789', '!@#$%^&*'];
+  const all = required.join('');
+
+  const chars = required.map(set => set[crypto.randomInt(set.length)]);
+  while (chars.length < length) {
+    chars.push(all[crypto.randomInt(all.length)]);
+  }
+
+  // Shuffle so the required characters are not always first
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+
+  return chars.join('');
+};
+
+// Policy summary safe to show to clients
+const describePolicy = () => ({
+  minLength: policy.minLength,
+  maxLength: policy.maxLength,
+  requireUppercase: policy.requireUppercase,
+  requireLowercase: policy.requireLowercase,
+  requireNumber: policy.requireNumber,
+  requireSymbol: policy.requireSymbol,
+  rejectCommon: policy.rejectCommon,
+  historyCount: policy.historyCount,
+  maxAgeDays: policy.maxAgeDays
+});
+
+module.exports = {
+  policy,
+  validatePassword,
+  generatePassword,
+  describePolicy
+};
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { policy, validatePassword, generatePassword, describePolicy } = require('./passwordPolicy');
+
+test('validatePassword accepts a password meeting the default policy', () => {
+  assert.deepStrictEqual(validatePassword('Cardamom-Pods-42'), []);
+});
+
+test('validatePassword lists every rule a password breaks', () => {
+  assert.deepStrictEqual(validatePassword('short'), [
+    `Password must be at least ${policy.minLength} characters long`,
+    'Password must contain an uppercase letter',
+    'Password must contain a number'
+  ]);
+  assert.deepStrictEqual(validatePassword('NO LOWERCASE 123'), ['Password must contain a lowercase letter']);
+  assert.deepStrictEqual(validatePassword('A1' + 'a'.repeat(policy.maxLength)), [
+    `Password cannot exceed ${policy.maxLength} characters`
+  ]);
+});
+
+test('validatePassword rejects common passwords whatever their case', () => {
+  assert.deepStrictEqual(validatePassword('Password123'), ['Password is too common']);
+});
+
+test('validatePassword rejects passwords containing the email address', () => {
+  assert.deepStrictEqual(validatePassword('Saffron2024!', { email: 'saffron@example.com' }), [
+    'Password cannot contain your email address'
+  ]);
+  // Very short local parts are not checked
+  assert.deepStrictEqual(validatePassword('Saffron2024!', { email: 'sa@example.com' }), []);
+});
+
+test('validatePassword handles values that are not strings', () => {
+  assert.deepStrictEqual(validatePassword(undefined), [`Password must be at least ${policy.minLength} characters long`]);
+});
+
+test('generatePassword always satisfies the policy', () => {
+  for (let i = 0; i < 50; i++) {
+    const password = generatePassword();
+    assert.ok(password.length >= Math.max(policy.minLength, 16));
+    assert.deepStrictEqual(validatePassword(password), []);
+  }
+});
+
+test('describePolicy exposes the rules without internals', () => {
+  assert.deepStrictEqual(describePolicy(), { ...policy });
+});
@@ -0,0 +1,101 @@
+// Permissions that routes can require through the authorize() middleware
+const PERMISSIONS = [
+  'dashboard:read',
+  'products:write',
+  'products:publish',
+  'products:delete',
+  'inventory:read',
+  'inventory:write',
+  'categories:write',
+  'categories:delete',
+  'catalog:export',
+  'certificates:write',
+  'certificates:delete',
+  'team:write',
+  'team:delete',
+  'contact:write',
+  'contact:delete',
+  'messages:read',
+  'messages:write',
+  'users:manage',
+  'settings:manage',
+  'apikeys:manage',
+  'audit:read'
+];
+
+// Permissions that can never be delegated to an API key
+const NON_DELEGABLE_PERMISSIONS = [
+  'users:manage',
+  'settings:manage',
+  'apikeys:manage'
+];
+
+// Permissions granted to each dashboard role
+const ROLE_PERMISSIONS = {
+  // Full access, including user management and organisation settings
+  owner: PERMISSIONS,
+  // Legacy role kept for accounts created before roles were introduced
+  admin: PERMISSIONS,
+  // Manages the public catalog and company content
+  editor: [
+    'dashboard:read',
+    'products:write',
+    'products:publish',
+    'products:delete',
+    'inventory:read',
+    'inventory:write',
+    'categories:write',
+    'categories:delete',
+    'catalog:export',
+    'certificates:write',
+    'certificates:delete',
+    'team:write',
+    'team:delete',
+    'contact:write',
+    'contact:delete'
+  ],
+  // Works the message inbox and checks stock for customers
+  sales: [
+    'dashboard:read',
+    'inventory:read',
+    'messages:read',
+    'messages:write'
+  ],
+  // Read-only access to the dashboard and inbox
+  viewer: [
+    'dashboard:read',
+    'messages:read'
+  ]
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Roles with full access. Only their holders may grant them or modify their
+// accounts, and at least one active account must keep one.
+const OWNER_ROLES = ['owner', 'admin'];
+
+// Roles that can be given to users; the legacy admin role is not handed out
+const ASSIGNABLE_ROLES = ROLES.filter(role => role !== 'admin');
+
+const isOwnerRole = (role) => OWNER_ROLES.includes(role);
+
+// Check whether a role grants a permission
+const hasPermission = (role, permission) => {
+  const permissions = ROLE_PERMISSIONS[role];
+  return Array.isArray(permissions) && permissions.includes(permission);
+};
+
+// List permissions granted to a role
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+module.exports = {
+  PERMISSIONS,
+  NON_DELEGABLE_PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  OWNER_ROLES,
+  ASSIGNABLE_ROLES,
+  isOwnerRole,
+  hasPermission,
+  getPermissions
+};
@@ -15,6 +15,16 @@ const categoryRoutes = require('./routes/categories');
 const contactRoutes = require('./routes/contact');
 const messageRoutes = require('./routes/messages');
 const dashboardRoutes = require('./routes/dashboard');
+const userRoutes = require('./routes/users');
+const settingRoutes = require('./routes/settings');
+const apiKeyRoutes = require('./routes/apiKeys');
+const auditRoutes = require('./routes/audit');
+const inventoryRoutes = require('./routes/inventory');
+const importRoutes = require('./routes/import');
+const exportRoutes = require('./routes/export');
+const trashRoutes = require('./routes/trash');
+const { startJobs } = require('./jobs');
+const { publishLegacyProducts } = require('./utils/publishing');
 
 const app = express();
 
@@ -47,8 +57,15 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/herbs-das
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => {
+.then(async () => {
   console.log('Connected to MongoDB');
+  try {
+    const published = await publishLegacyProducts();
+    if (published > 0) console.log(`Published ${published} product(s) from before the publishing workflow`);
+  } catch (error) {
+    console.error('Publish legacy products error:', error);
+  }
+  startJobs();
 })
 .catch((error) => {
   console.error('MongoDB connection error:', error);
@@ -64,6 +81,14 @@ app.use('/api/categories', categoryRoutes);
 app.use('/api/contact', contactRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/settings', settingRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/inventory', inventoryRoutes);
+app.use('/api/import', importRoutes);
+app.use('/api/export', exportRoutes);
+app.use('/api/trash', trashRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,52 @@
+const { purgeExpired } = require('../utils/trash');
+const { processSchedules } = require('../utils/publishing');
+const AuditLog = require('../models/AuditLog');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Background jobs for the long-running server. Serverless deployments have
+// no process to run these in and call the matching endpoints from a cron
+// job instead.
+const JOBS = [
+  {
+    name: 'scheduled-publishing',
+    interval: MINUTE,
+    run: async () => {
+      const entries = await processSchedules();
+      if (entries.length > 0) {
+        await AuditLog.insertMany(entries, { ordered: false });
+        console.log(`Applied ${entries.length} scheduled publish change(s)`);
+      }
+    }
+  },
+  {
+    name: 'trash-purge',
+    interval: HOUR,
+    run: async () => {
+      const purged = await purgeExpired();
+      if (purged.length > 0) {
+        await AuditLog.insertMany(purged, { ordered: false });
+        console.log(`Purged ${purged.length} item(s) from the trash`);
+      }
+    }
+  }
+];
+
+const runJob = async (job) => {
+  try {
+    await job.run();
+  } catch (error) {
+    console.error(`Job ${job.name} error:`, error);
+  }
+};
+
+// Run every job once and then on its interval
+const startJobs = () => {
+  JOBS.forEach(job => {
+    runJob(job);
+    setInterval(() => runJob(job), job.interval).unref();
+  });
+};
+
+module.exports = { startJobs };
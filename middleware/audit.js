@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { diffObjects } = require('../utils/diff');
+
+const ACTIONS_BY_METHOD = {
+  POST: 'create',
+  PUT: 'update',
+  PATCH: 'update',
+  DELETE: 'delete'
+};
+
+// Fields kept out of audit entries
+const SENSITIVE_FIELDS = [
+  'password',
+  'passwordHistory',
+  'passwordResetTokenHash',
+  'passwordResetExpires',
+  'twoFactorSecret',
+  'twoFactorPendingSecret',
+  'twoFactorRecoveryCodes',
+  'twoFactorLastStep',
+  'keyHash'
+];
+
+const loadDocument = async (Model, id) => {
+  if (!id || !mongoose.Types.ObjectId.isValid(id)) return null;
+  return Model.findById(id).lean();
+};
+
+const getEntityName = (doc) => {
+  if (!doc) return undefined;
+  return doc.name || doc.email || doc.label || doc.subject || undefined;
+};
+
+const getRequestDetails = (req) => ({
+  actor: req.user && req.user._id,
+  actorEmail: req.user && req.user.email,
+  apiKey: req.apiKey && req.apiKey._id,
+  method: req.method,
+  path: req.originalUrl,
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+const writeEntry = async ({ req, entityType, Model, action, entityId, before }) => {
+  const after = await loadDocument(Model, entityId);
+  const changes = diffObjects(before, after, SENSITIVE_FIELDS);
+
+  // Updates that changed nothing are not worth an entry
+  if (action === 'update' && changes.length === 0) return;
+
+  await AuditLog.create({
+    ...getRequestDetails(req),
+    action,
+    entityType,
+    entityId,
+    entityName: getEntityName(after) || getEntityName(before),
+    changes
+  });
+};
+
+// Record entries for routes that change many documents at once (imports,
+// bulk actions), where the per-request audit() middleware doesn't fit.
+// Each entry has action, entityType, entityId and optionally entityName/changes.
+const logAuditEntries = async (req, entries) => {
+  if (entries.length === 0) return;
+
+  const details = getRequestDetails(req);
+  try {
+    await AuditLog.insertMany(entries.map(entry => ({ ...details, ...entry })), { ordered: false });
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
+
+// Record successful writes to an entity in the audit log.
+// Place after authorize() so the actor is known. Options:
+//   action      - action name, defaults to create/update/delete from the method
+//   getEntityId - async (req) => id, defaults to req.params.id, or the
+//                 created document's id from the response for creates
+const audit = (entityType, Model, options = {}) => async (req, res, next) => {
+  try {
+    const action = options.action || ACTIONS_BY_METHOD[req.method];
+    const knownId = options.getEntityId ? await options.getEntityId(req) : req.params.id;
+    const before = await loadDocument(Model, knownId);
+
+    // Capture the response body to learn the id of created documents
+    let responseBody;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return originalJson(body);
+    };
+
+    res.on('finish', () => {
+      if (res.statusCode < 200 || res.statusCode >= 300) return;
+
+      const data = responseBody && responseBody.data;
+      const entityId = knownId || (data && (data._id || data.id));
+
+      writeEntry({ req, entityType, Model, action, entityId, before })
+        .catch(error => console.error('Audit log error:', error));
+    });
+
+    next();
+  } catch (error) {
+    console.error('Audit middleware error:', error);
+    next();
+  }
+};
+
+module.exports = { audit, logAuditEntries };
@@ -1,49 +1,125 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Setting = require('../models/Setting');
+const ApiKey = require('../models/ApiKey');
+const { PERMISSIONS } = require('../config/roles');
+const { isAccessTokenRevoked, touchSession } = require('../utils/tokens');
+
+// Minimum time between lastUsedAt writes for the same API key
+const API_KEY_LAST_USED_INTERVAL_MS = 60 * 1000;
+
+// Read an API key from X-API-Key or a Bearer header carrying one
+const getApiKeyFromRequest = (req) => {
+  const header = req.header('X-API-Key');
+  if (header) return header;
+
+  const bearer = req.header('Authorization')?.replace('Bearer ', '');
+  return ApiKey.isApiKey(bearer) ? bearer : null;
+};
+
+// Authenticate a request made with an API key. The key acts on behalf of
+// the user who created it and is further limited to its scopes.
+const authenticateApiKey = async (key, req, deny, next) => {
+  const apiKey = await ApiKey.findByKey(key).populate('createdBy', '-password');
+
+  if (!apiKey) {
+    return deny(401, 'Invalid API key.');
+  }
+
+  if (apiKey.revokedAt) {
+    return deny(401, 'API key has been revoked.');
+  }
+
+  if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+    return deny(401, 'API key expired.');
+  }
+
+  const user = apiKey.createdBy;
+  if (!user || !user.isActive) {
+    return deny(401, 'API key owner is no longer active.');
+  }
+
+  const now = Date.now();
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt.getTime() > API_KEY_LAST_USED_INTERVAL_MS) {
+    await ApiKey.updateOne(
+      { _id: apiKey._id },
+      { $set: { lastUsedAt: new Date(now), lastUsedIp: req.ip } }
+    );
+  }
+
+  req.user = user;
+  req.apiKey = apiKey;
+  next();
+};
+
+// Build the authentication middleware. Users who still have to enrol in
+// two-factor authentication are only let through when allowTwoFactorSetup is set,
+// users who must change an expired or reset password when allowPasswordChange
+// is set; API keys are only accepted when allowApiKey is set. With optional
+// set, requests that fail to authenticate continue anonymously instead.
+const authenticate = (options = {}) => async (req, res, next) => {
+  const deny = (status, message, code) => {
+    if (options.optional) return next();
+    return res.status(status).json({ success: false, code, message });
+  };
 
-const auth = async (req, res, next) => {
   try {
+    const apiKey = getApiKeyFromRequest(req);
+    if (apiKey) {
+      if (!options.allowApiKey) {
+        return deny(401, 'API keys are not accepted for this route.');
+      }
+      return await authenticateApiKey(apiKey, req, deny, next);
+    }
+
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
     if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access denied. No token provided.'
-      });
+      return deny(401, 'Access denied. No token provided.');
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     const user = await User.findById(decoded.id).select('-password');
     
     if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid token. User not found.'
-      });
+      return deny(401, 'Invalid token. User not found.');
     }
 
     if (!user.isActive) {
-      return res.status(401).json({
-        success: false,
-        message: 'Account is deactivated.'
-      });
+      return deny(401, 'Account is deactivated.');
+    }
+
+    if (await isAccessTokenRevoked(decoded, user)) {
+      return deny(401, 'Token has been revoked.');
+    }
+
+    const session = await touchSession(decoded, req);
+    if (!session) {
+      return deny(401, 'Session has been revoked.');
+    }
+
+    if (!options.allowPasswordChange && (user.mustChangePassword || user.isPasswordExpired())) {
+      return deny(403, 'Your password must be changed before continuing.', 'PASSWORD_CHANGE_REQUIRED');
+    }
+
+    if (!options.allowTwoFactorSetup && !user.twoFactorEnabled) {
+      const settings = await Setting.getSettings();
+      if (settings.requireTwoFactor) {
+        return deny(403, 'Two-factor authentication must be set up before continuing.', 'TWO_FACTOR_SETUP_REQUIRED');
+      }
     }
 
     req.user = user;
+    req.tokenPayload = decoded;
+    req.authSession = session;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid token.'
-      });
+      return deny(401, 'Invalid token.');
     }
     
     if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({
-        success: false,
-        message: 'Token expired.'
-      });
+      return deny(401, 'Token expired.');
     }
 
     console.error('Auth middleware error:', error);
@@ -54,24 +130,60 @@ const auth = async (req, res, next) => {
   }
 };
 
-const adminAuth = async (req, res, next) => {
-  try {
-    await auth(req, res, () => {
-      if (req.user.role !== 'admin') {
-        return res.status(403).json({
-          success: false,
-          message: 'Access denied. Admin privileges required.'
-        });
-      }
-      next();
-    });
-  } catch (error) {
-    console.error('Admin auth middleware error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error during admin authentication.'
-    });
+const auth = authenticate();
+const twoFactorSetupAuth = authenticate({ allowTwoFactorSetup: true });
+// For changing the password, logging out and reading the current user
+const passwordChangeAuth = authenticate({ allowTwoFactorSetup: true, allowPasswordChange: true });
+const authOrApiKey = authenticate({ allowApiKey: true });
+const optionalAuthOrApiKey = authenticate({ allowApiKey: true, optional: true });
+
+// Authenticate the request when it carries a valid token or API key, and let
+// it through anonymously otherwise, e.g. with an expired token. For public
+// routes that show more to staff.
+const optionalAuth = (req, res, next) => {
+  if (!getApiKeyFromRequest(req) && !req.header('Authorization')) {
+    return next();
   }
+  return optionalAuthOrApiKey(req, res, next);
+};
+
+// Check an authenticated request for a permission: the user must have it
+// and, when an API key is used, the key must be scoped to it as well
+const hasAccess = (req, permission) => {
+  if (!req.user || !req.user.can(permission)) return false;
+  return req.apiKey ? req.apiKey.scopes.includes(permission) : true;
+};
+
+// Require an authenticated user whose role grants every listed permission.
+// Requests made with an API key also need every permission among its scopes.
+const authorize = (...permissions) => {
+  permissions.forEach(permission => {
+    if (!PERMISSIONS.includes(permission)) {
+      throw new Error(`Unknown permission: ${permission}`);
+    }
+  });
+
+  return async (req, res, next) => {
+    try {
+      await authOrApiKey(req, res, () => {
+        const missing = permissions.filter(permission => !hasAccess(req, permission));
+        if (missing.length > 0) {
+          return res.status(403).json({
+            success: false,
+            message: 'Access denied. Insufficient permissions.',
+            required: missing
+          });
+        }
+        next();
+      });
+    } catch (error) {
+      console.error('Authorize middleware error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error during authorization.'
+      });
+    }
+  };
 };
 
-module.exports = { auth, adminAuth };
\ No newline at end of file
+module.exports = { auth, twoFactorSetupAuth, passwordChangeAuth, optionalAuth, authorize, hasAccess };
\ No newline at end of file
@@ -0,0 +1,11 @@
+const { resolveLanguage } = require('../utils/i18n');
+
+// Work out the response language for public catalog routes (req.language)
+const language = (req, res, next) => {
+  req.language = resolveLanguage(req);
+  res.set('Content-Language', req.language);
+  res.vary('Accept-Language');
+  next();
+};
+
+module.exports = { language };
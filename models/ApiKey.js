@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { PERMISSIONS } = require('../config/roles');
+
+const KEY_PREFIX = 'hk_';
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true,
+    maxlength: [100, 'API key name cannot exceed 100 characters']
+  },
+  prefix: {
+    type: String,
+    required: true // First characters of the key, shown so it can be recognised
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: {
+        values: PERMISSIONS,
+        message: 'Invalid scope'
+      }
+    }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true // The key acts on behalf of this user
+  },
+  expiresAt: {
+    type: Date
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  lastUsedIp: {
+    type: String
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+apiKeySchema.index({ createdBy: 1 });
+apiKeySchema.index({ revokedAt: 1 });
+
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+apiKeySchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.keyHash;
+    return ret;
+  }
+});
+
+// Check whether a header value looks like one of our API keys
+apiKeySchema.statics.isApiKey = function(value) {
+  return typeof value === 'string' && value.startsWith(KEY_PREFIX);
+};
+
+// Generate a new key, returning the document and the plain key (shown once)
+apiKeySchema.statics.generate = async function(data) {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  const apiKey = new this({
+    ...data,
+    prefix: key.slice(0, KEY_PREFIX.length + 8),
+    keyHash: hashKey(key)
+  });
+  await apiKey.save();
+
+  return { apiKey, key };
+};
+
+// Find the key document matching a plain key
+apiKeySchema.statics.findByKey = function(key) {
+  return this.findOne({ keyHash: hashKey(key) });
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
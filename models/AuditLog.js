@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorEmail: {
+    type: String // Kept so entries stay readable after the user is deleted
+  },
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey' // Set when the change was made with an API key
+  },
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  entityType: {
+    type: String,
+    required: true,
+    enum: ['product', 'category', 'certificate', 'team_member', 'contact', 'message', 'user', 'setting', 'api_key']
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  entityName: {
+    type: String // Human readable label of the entity at the time of the change
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  method: {
+    type: String
+  },
+  path: {
+    type: String
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
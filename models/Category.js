@@ -16,6 +16,19 @@ const categorySchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  sortOrder: {
+    type: Number,
+    default: 0 // Lower comes first in listings and the printed catalog
+  },
+  translations: {
+    ar: {
+      name: {
+        type: String,
+        trim: true,
+        maxlength: [50, 'Category name cannot exceed 50 characters']
+      }
+    }
   }
 }, {
   timestamps: true
@@ -30,8 +43,10 @@ categorySchema.pre('save', function(next) {
 });
 
 // Index for search functionality
-categorySchema.index({ name: 'text' });
+// Searches both languages; replaces the English-only index (run scripts/syncIndexes.js)
+categorySchema.index({ name: 'text', 'translations.ar.name': 'text' }, { name: 'category_search', default_language: 'none' });
 categorySchema.index({ slug: 1 });
 categorySchema.index({ isActive: 1 });
+categorySchema.index({ sortOrder: 1, name: 1 });
 
 module.exports = mongoose.model('Category', categorySchema);
\ No newline at end of file
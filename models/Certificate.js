@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const certificateSchema = new mongoose.Schema({
   name: {
@@ -49,15 +50,49 @@ const certificateSchema = new mongoose.Schema({
   },
   documentPublicId: {
     type: String // Cloudinary public ID for the uploaded document (raw/pdf)
+  },
+  translations: {
+    ar: {
+      name: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Certificate name cannot exceed 100 characters']
+      },
+      description: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Description cannot exceed 1000 characters']
+      },
+      issuer: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Issuer name cannot exceed 100 characters']
+      }
+    }
   }
 }, {
   timestamps: true
 });
 
 // Index for search functionality
-certificateSchema.index({ name: 'text', description: 'text', issuer: 'text' });
+// Searches both languages; replaces the English-only index (run scripts/syncIndexes.js)
+certificateSchema.index({
+  name: 'text',
+  description: 'text',
+  issuer: 'text',
+  'translations.ar.name': 'text',
+  'translations.ar.description': 'text',
+  'translations.ar.issuer': 'text'
+}, { name: 'certificate_search', default_language: 'none' });
 certificateSchema.index({ category: 1 });
 certificateSchema.index({ isActive: 1 });
 certificateSchema.index({ expiryDate: 1 });
 
+// Expired once the expiry date has passed; certificates without one don't expire
+certificateSchema.statics.isExpired = function(certificate, now = new Date()) {
+  return Boolean(certificate && certificate.expiryDate && new Date(certificate.expiryDate) < now);
+};
+
+certificateSchema.plugin(softDelete);
+
 module.exports = mongoose.model('Certificate', certificateSchema);
\ No newline at end of file
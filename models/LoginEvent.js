@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Security events around dashboard logins
+const loginEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['login_success', 'login_failure', 'account_locked', 'account_unlocked', 'ip_blocked'],
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['invalid_password', 'unknown_user', 'deactivated', 'invalid_two_factor', 'locked', 'throttled', 'too_many_failures', 'manual', 'ip_limit']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // Set for manual actions such as an owner unlocking an account
+  }
+}, {
+  timestamps: true
+});
+
+loginEventSchema.index({ user: 1, createdAt: -1 });
+loginEventSchema.index({ ipAddress: 1, type: 1, createdAt: -1 });
+loginEventSchema.index({ type: 1 });
+// Keep security events for 90 days; also serves date-sorted listings
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginEvent', loginEventSchema);
@@ -1,4 +1,221 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+
+// Pack units and their size in the base unit (grams, millilitres or pieces)
+const PACK_UNITS = {
+  g: 1,
+  kg: 1000,
+  t: 1000000,
+  ml: 1,
+  l: 1000,
+  piece: 1
+};
+
+const toBaseSize = (size, unit) => {
+  const factor = PACK_UNITS[unit];
+  return factor ? size * factor : undefined;
+};
+
+const STOCK_STATUSES = ['in_stock', 'low_stock', 'out_of_stock', 'on_request'];
+
+// Stock tracked on variants, or on the product itself when it has none.
+// Quantities only change through stock movements (utils/inventory.js).
+const stockFields = () => ({
+  quantityOnHand: {
+    type: Number,
+    default: 0,
+    min: [0, 'Quantity on hand cannot be negative']
+  },
+  quantityReserved: {
+    type: Number,
+    default: 0,
+    min: [0, 'Reserved quantity cannot be negative']
+  },
+  lowStockThreshold: {
+    type: Number,
+    min: [0, 'Low stock threshold cannot be negative']
+  },
+  stockStatus: {
+    type: String,
+    enum: {
+      values: STOCK_STATUSES,
+      message: 'Stock status must be one of: ' + STOCK_STATUSES.join(', ')
+    },
+    default: 'out_of_stock' // Derived from quantities, except 'on_request' which is set by hand
+  }
+});
+
+// Work out the stock status from available quantity and the low stock threshold
+const deriveStockStatus = (item) => {
+  if (item.stockStatus === 'on_request') return 'on_request';
+
+  const available = (item.quantityOnHand || 0) - (item.quantityReserved || 0);
+  if (available <= 0) return 'out_of_stock';
+  if (typeof item.lowStockThreshold === 'number' && available <= item.lowStockThreshold) return 'low_stock';
+  return 'in_stock';
+};
+
+// A sellable pack of a product, e.g. a 50 g jar or a 25 kg sack
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'Variant SKU is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [50, 'SKU cannot exceed 50 characters']
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Variant label cannot exceed 100 characters']
+  },
+  packSize: {
+    type: Number,
+    required: [true, 'Variant pack size is required'],
+    min: [0, 'Pack size cannot be negative']
+  },
+  packUnit: {
+    type: String,
+    required: [true, 'Variant pack unit is required'],
+    enum: {
+      values: Object.keys(PACK_UNITS),
+      message: 'Pack unit must be one of: ' + Object.keys(PACK_UNITS).join(', ')
+    }
+  },
+  baseSize: {
+    type: Number // packSize converted to the base unit, used for sorting and filtering
+  },
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative']
+  },
+  moq: {
+    type: Number,
+    default: 1,
+    min: [1, 'Minimum order quantity must be at least 1'] // Number of packs
+  },
+  ...stockFields()
+});
+
+// An image in the product gallery; gallery order is the array order
+const imageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'Image URL is required']
+  },
+  publicId: {
+    type: String // Cloudinary public ID for image management
+  },
+  alt: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Alt text cannot exceed 200 characters']
+  },
+  isPrimary: {
+    type: Boolean,
+    default: false
+  }
+});
+
+const MAX_IMAGES = 20;
+
+// Particle size units for mesh/cut sizes
+const SIZE_UNITS = ['mesh', 'mm', 'micron'];
+
+// Shelf life units and their length in months
+const SHELF_LIFE_UNITS = {
+  days: 1 / 30,
+  months: 1,
+  years: 12
+};
+
+const percentage = (label) => ({
+  type: Number,
+  min: [0, `${label} cannot be negative`],
+  max: [100, `${label} cannot exceed 100%`]
+});
+
+// Technical specification buyers ask for. Percentages are by weight:
+// moisture and ash are maximums, volatile oil and purity minimums.
+const specificationSchema = new mongoose.Schema({
+  hsCode: {
+    type: String,
+    trim: true,
+    // 6-digit HS heading, optionally extended to 8 or 10 national digits
+    match: [/^\d{4}\.?\d{2}(\.?\d{2}){0,2}$/, 'HS code must have 6, 8 or 10 digits, e.g. 0909.31']
+  },
+  botanicalName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Botanical name cannot exceed 100 characters']
+  },
+  moisturePercent: percentage('Moisture'),
+  ashPercent: percentage('Total ash'),
+  volatileOilPercent: percentage('Volatile oil'),
+  purityPercent: percentage('Purity'),
+  form: {
+    type: String,
+    enum: {
+      values: ['whole', 'cut', 'crushed', 'granules', 'powder'],
+      message: 'Form must be one of: whole, cut, crushed, granules, powder'
+    }
+  },
+  cutSize: {
+    value: {
+      type: Number,
+      min: [0, 'Cut size cannot be negative']
+    },
+    unit: {
+      type: String,
+      enum: {
+        values: SIZE_UNITS,
+        message: 'Cut size unit must be one of: ' + SIZE_UNITS.join(', ')
+      }
+    }
+  },
+  shelfLife: {
+    value: {
+      type: Number,
+      min: [0, 'Shelf life cannot be negative']
+    },
+    unit: {
+      type: String,
+      enum: {
+        values: Object.keys(SHELF_LIFE_UNITS),
+        message: 'Shelf life unit must be one of: ' + Object.keys(SHELF_LIFE_UNITS).join(', ')
+      }
+    }
+  },
+  shelfLifeMonths: {
+    type: Number // shelfLife converted to months, used for filtering
+  },
+  storageConditions: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Storage conditions cannot exceed 300 characters']
+  },
+  packagingOptions: [{
+    type: String,
+    trim: true,
+    maxlength: [100, 'Packaging option cannot exceed 100 characters']
+  }]
+}, { _id: false });
+
+// A value given without a unit (or the other way round) can't be interpreted
+specificationSchema.pre('validate', function(next) {
+  ['cutSize', 'shelfLife'].forEach(field => {
+    const { value, unit } = this[field] || {};
+    if ((value === undefined || value === null) !== !unit) {
+      this.invalidate(`${field}.unit`, `${field} needs both a value and a unit`);
+    }
+  });
+
+  const { value, unit } = this.shelfLife || {};
+  this.shelfLifeMonths = typeof value === 'number' && SHELF_LIFE_UNITS[unit]
+    ? Math.round(value * SHELF_LIFE_UNITS[unit] * 10) / 10
+    : undefined;
+  next();
+});
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -7,12 +224,40 @@ const productSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Product name cannot exceed 100 characters']
   },
+  slug: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [120, 'Slug cannot exceed 120 characters']
+  },
+  slugCustomized: {
+    type: Boolean,
+    default: false // Set when the slug was given rather than generated from the name
+  },
+  previousSlugs: [{
+    type: String // Old slugs that redirect to the current one
+  }],
   description: {
     type: String,
     required: [true, 'Product description is required'],
     trim: true,
     maxlength: [1000, 'Description cannot exceed 1000 characters']
   },
+  metaTitle: {
+    type: String,
+    trim: true,
+    maxlength: [70, 'Meta title cannot exceed 70 characters']
+  },
+  metaDescription: {
+    type: String,
+    trim: true,
+    maxlength: [160, 'Meta description cannot exceed 160 characters']
+  },
+  ogImage: {
+    type: String,
+    trim: true,
+    match: [/^https?:\/\//, 'OG image must be an http(s) URL'] // Defaults to the primary image when unset
+  },
   image: {
     type: String,
     required: [true, 'Product image is required']
@@ -20,6 +265,13 @@ const productSchema = new mongoose.Schema({
   imagePublicId: {
     type: String // Cloudinary public ID for image management
   },
+  images: {
+    type: [imageSchema],
+    validate: {
+      validator: images => images.length <= MAX_IMAGES,
+      message: `A product cannot have more than ${MAX_IMAGES} images`
+    }
+  },
   category: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Category',
@@ -31,16 +283,34 @@ const productSchema = new mongoose.Schema({
   },
   inStock: {
     type: Boolean,
-    default: true
+    default: true // Derived from stock, see the pre-validate hook
   },
+  ...stockFields(),
+  variants: [variantSchema],
   featured: {
     type: Boolean,
     default: false
   },
+  // Only published products are shown on the public site
+  status: {
+    type: String,
+    enum: ['draft', 'in_review', 'published', 'archived'],
+    default: 'draft'
+  },
+  publishedAt: {
+    type: Date // Last time the product went live
+  },
+  publishAt: {
+    type: Date // Scheduled publish, picked up by the publishing job
+  },
+  unpublishAt: {
+    type: Date // Scheduled archive, picked up by the publishing job
+  },
   tags: [{
     type: String,
     trim: true
   }],
+  specifications: specificationSchema,
   nutritionalInfo: {
     calories: Number,
     protein: Number,
@@ -53,17 +323,217 @@ const productSchema = new mongoose.Schema({
     trim: true
   },
   certifications: [{
-    type: String,
-    trim: true
-  }]
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Certificate'
+  }],
+  translations: {
+    ar: {
+      name: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Product name cannot exceed 100 characters']
+      },
+      description: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Description cannot exceed 1000 characters']
+      },
+      origin: {
+        type: String,
+        trim: true
+      },
+      metaTitle: {
+        type: String,
+        trim: true,
+        maxlength: [70, 'Meta title cannot exceed 70 characters']
+      },
+      metaDescription: {
+        type: String,
+        trim: true,
+        maxlength: [160, 'Meta description cannot exceed 160 characters']
+      }
+    }
+  }
 }, {
   timestamps: true
 });
 
+// Letters and digits of any script are kept, so Arabic names get Arabic
+// slugs; accents and Arabic diacritics are dropped
+const slugify = (text) => {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 100)
+    .replace(/-+$/, '');
+};
+
+// Remember the stored slug so a rename can keep the old one for redirects
+productSchema.post('init', function() {
+  this.$locals.storedSlug = this.slug;
+});
+
+// Create a unique slug from the name (like categories), regenerating it on
+// rename unless a custom slug was ever given. Setting an empty slug goes back
+// to generating it from the name. Old slugs are kept for redirects.
+productSchema.pre('validate', async function(next) {
+  try {
+    const customSlug = this.isModified('slug') && this.slug;
+    if (customSlug) {
+      this.slugCustomized = true;
+    } else if (this.isModified('slug')) {
+      this.slugCustomized = false;
+    }
+    if (!customSlug && this.slug && (!this.isModified('name') || this.slugCustomized)) return next();
+
+    const base = slugify(customSlug || this.name) || 'product';
+    // Trashed products keep their slug in case they are restored
+    const isTaken = (slug) => this.constructor.exists({ slug, _id: { $ne: this._id } }).withDeleted();
+
+    let slug = base;
+    if (await isTaken(slug)) {
+      if (customSlug) {
+        const inTrash = await this.constructor.exists({ slug, _id: { $ne: this._id } }).onlyDeleted();
+        this.invalidate('slug', inTrash
+          ? `Slug "${slug}" is still used by a product in the trash; restore or permanently delete it first`
+          : `Slug "${slug}" is already used by another product`);
+        return next();
+      }
+      let suffix = 2;
+      while (await isTaken(`${base}-${suffix}`)) suffix++;
+      slug = `${base}-${suffix}`;
+    }
+
+    this.slug = slug;
+
+    const storedSlug = this.$locals.storedSlug;
+    if (storedSlug && storedSlug !== slug && !this.previousSlugs.includes(storedSlug)) {
+      this.previousSlugs.push(storedSlug);
+    }
+    // A slug that is current again no longer redirects
+    this.previousSlugs = this.previousSlugs.filter(previous => previous !== slug);
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Keep the gallery and the legacy image fields in sync: exactly one image is
+// primary (the first unless one is flagged) and image/imagePublicId mirror it
+productSchema.pre('validate', function(next) {
+  // Products created before galleries start with their single image
+  if (this.images.length === 0 && this.imagePublicId) {
+    this.images.push({ url: this.image, publicId: this.imagePublicId, isPrimary: true });
+  }
+
+  if (this.images.length === 0) return next();
+
+  const primary = this.images.find(image => image.isPrimary) || this.images[0];
+  this.images.forEach(image => {
+    image.isPrimary = image === primary;
+  });
+
+  this.image = primary.url;
+  this.imagePublicId = primary.publicId;
+  next();
+});
+
+// Keep variant base sizes, stock statuses and the product level price and
+// stock in sync: price becomes the lowest variant price ("from" price) and
+// inStock is true when anything can be sold or ordered on request
+productSchema.pre('validate', function(next) {
+  if (!this.variants || this.variants.length === 0) {
+    this.stockStatus = deriveStockStatus(this);
+    this.inStock = this.stockStatus !== 'out_of_stock';
+    return next();
+  }
+
+  const skus = this.variants.map(variant => variant.sku);
+  const duplicate = skus.find((sku, index) => sku && skus.indexOf(sku) !== index);
+  if (duplicate) {
+    this.invalidate('variants', `Duplicate variant SKU: ${duplicate}`);
+  }
+
+  this.variants.forEach(variant => {
+    if (variant.packSize !== undefined) {
+      variant.baseSize = toBaseSize(variant.packSize, variant.packUnit);
+    }
+    variant.stockStatus = deriveStockStatus(variant);
+  });
+
+  const prices = this.variants
+    .map(variant => variant.price)
+    .filter(price => typeof price === 'number');
+  if (prices.length > 0) {
+    this.price = Math.min(...prices);
+  }
+
+  this.inStock = this.variants.some(variant => variant.stockStatus !== 'out_of_stock');
+  next();
+});
+
+// Keep publishing dates consistent with the status
+productSchema.pre('validate', function(next) {
+  if (this.publishAt && this.unpublishAt && this.unpublishAt <= this.publishAt) {
+    this.invalidate('unpublishAt', 'Unpublish date must be after the publish date');
+  }
+
+  if (this.isModified('status') && this.status === 'published') {
+    this.publishedAt = new Date();
+    this.publishAt = undefined;
+  }
+
+  // Archived products have nothing left to unpublish
+  if (this.status === 'archived') {
+    this.unpublishAt = undefined;
+  }
+
+  next();
+});
+
+// Cloudinary public IDs of every image the product owns
+productSchema.methods.getImagePublicIds = function() {
+  const publicIds = this.images.map(image => image.publicId).filter(Boolean);
+  if (this.imagePublicId && !publicIds.includes(this.imagePublicId)) {
+    publicIds.push(this.imagePublicId);
+  }
+  return publicIds;
+};
+
+// Convert a pack size to the base unit used by variant.baseSize
+productSchema.statics.toBaseSize = toBaseSize;
+
+// Turn a name into the form used for slugs
+productSchema.statics.slugify = slugify;
+
 // Index for search functionality
-productSchema.index({ name: 'text', description: 'text', tags: 'text' });
+// Searches both languages; replaces the English-only index (run scripts/syncIndexes.js)
+productSchema.index({
+  name: 'text',
+  description: 'text',
+  tags: 'text',
+  'translations.ar.name': 'text',
+  'translations.ar.description': 'text'
+}, { name: 'product_search', default_language: 'none' });
+productSchema.index({ slug: 1 }, { unique: true, sparse: true });
+productSchema.index({ previousSlugs: 1 });
 productSchema.index({ category: 1 });
 productSchema.index({ featured: 1 });
 productSchema.index({ inStock: 1 });
+productSchema.index({ 'variants.sku': 1 }, { unique: true, sparse: true });
+productSchema.index({ 'variants.price': 1 });
+productSchema.index({ stockStatus: 1 });
+productSchema.index({ 'variants.stockStatus': 1 });
+productSchema.index({ status: 1, publishAt: 1 });
+productSchema.index({ 'specifications.hsCode': 1 });
+productSchema.index({ 'specifications.form': 1 });
+productSchema.index({ certifications: 1 });
+productSchema.index({ status: 1, unpublishAt: 1 });
+
+productSchema.plugin(softDelete);
 
 module.exports = mongoose.model('Product', productSchema);
\ No newline at end of file
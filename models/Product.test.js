@@ -0,0 +1,127 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Product = require('./Product');
+
+const baseFields = () => ({
+  description: 'Whole pods',
+  category: new mongoose.Types.ObjectId(),
+  image: 'https://example.com/product.jpg'
+});
+
+// Stand in for the database: slugs already used by live and trashed products
+const mockSlugs = (t, { live = [], trashed = [] } = {}) => {
+  t.mock.method(Product, 'exists', ({ slug }) => ({
+    withDeleted: async () => (live.includes(slug) || trashed.includes(slug) ? { _id: 'other' } : null),
+    onlyDeleted: async () => (trashed.includes(slug) ? { _id: 'other' } : null)
+  }));
+};
+
+const loadProduct = (fields) => Product.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  ...baseFields(),
+  previousSlugs: [],
+  slugCustomized: false,
+  ...fields
+});
+
+test('slugify keeps letters and digits of any script', () => {
+  assert.strictEqual(Product.slugify('  Green Cardamom (8mm+) '), 'green-cardamom-8mm');
+  assert.strictEqual(Product.slugify('Crème Brûlée Spice'), 'creme-brulee-spice');
+  // Harakat and the hamza above alif are combining marks once decomposed
+  assert.strictEqual(Product.slugify('هَيْل أخضر'), 'هيل-اخضر');
+  assert.strictEqual(Product.slugify('!!!'), '');
+  assert.strictEqual(Product.slugify(undefined), '');
+});
+
+test('slugify limits slugs to 100 characters without a trailing dash', () => {
+  const slug = Product.slugify('a'.repeat(99) + ' b');
+  assert.strictEqual(slug, 'a'.repeat(99));
+});
+
+test('new products get a unique slug from their name', async (t) => {
+  mockSlugs(t, { live: ['black-pepper'], trashed: ['black-pepper-2'] });
+  const product = new Product({ ...baseFields(), name: 'Black Pepper' });
+
+  await product.validate();
+
+  assert.strictEqual(product.slug, 'black-pepper-3');
+  assert.strictEqual(product.slugCustomized, false);
+});
+
+test('names without letters or digits fall back to "product"', async (t) => {
+  mockSlugs(t);
+  const product = new Product({ ...baseFields(), name: '***' });
+  await product.validate();
+  assert.strictEqual(product.slug, 'product');
+});
+
+test('renaming regenerates the slug and keeps the old one for redirects', async (t) => {
+  mockSlugs(t);
+  const product = loadProduct({ name: 'Cardamom', slug: 'cardamom' });
+
+  product.name = 'Green Cardamom';
+  await product.validate();
+
+  assert.strictEqual(product.slug, 'green-cardamom');
+  assert.deepStrictEqual([...product.previousSlugs], ['cardamom']);
+});
+
+test('renaming keeps a custom slug', async (t) => {
+  mockSlugs(t);
+  const product = loadProduct({ name: 'Cardamom', slug: 'best-cardamom', slugCustomized: true });
+
+  product.name = 'Green Cardamom';
+  await product.validate();
+
+  assert.strictEqual(product.slug, 'best-cardamom');
+  assert.deepStrictEqual([...product.previousSlugs], []);
+});
+
+test('custom slugs are slugified and marked as customized', async (t) => {
+  mockSlugs(t);
+  const product = loadProduct({ name: 'Cardamom', slug: 'cardamom' });
+
+  product.slug = 'Premium Cardamom';
+  await product.validate();
+
+  assert.strictEqual(product.slug, 'premium-cardamom');
+  assert.strictEqual(product.slugCustomized, true);
+  assert.deepStrictEqual([...product.previousSlugs], ['cardamom']);
+});
+
+test('clearing the slug generates it from the name again', async (t) => {
+  mockSlugs(t);
+  const product = loadProduct({ name: 'Green Cardamom', slug: 'best-cardamom', slugCustomized: true });
+
+  product.slug = '';
+  await product.validate();
+
+  assert.strictEqual(product.slug, 'green-cardamom');
+  assert.strictEqual(product.slugCustomized, false);
+});
+
+test('a slug that becomes current again no longer redirects', async (t) => {
+  mockSlugs(t);
+  const product = loadProduct({ name: 'Green Cardamom', slug: 'green-cardamom', previousSlugs: ['cardamom'] });
+
+  product.slug = 'cardamom';
+  await product.validate();
+
+  assert.deepStrictEqual([...product.previousSlugs], ['green-cardamom']);
+});
+
+test('taken custom slugs are rejected, explaining slugs held by the trash', async (t) => {
+  mockSlugs(t, { live: ['cumin'], trashed: ['old-cumin'] });
+
+  const live = loadProduct({ name: 'Cumin Seeds', slug: 'cumin-seeds' });
+  live.slug = 'cumin';
+  await assert.rejects(live.validate(), (error) => {
+    assert.strictEqual(error.errors.slug.message, 'Slug "cumin" is already used by another product');
+    return true;
+  });
+
+  const trashed = loadProduct({ name: 'Cumin Seeds', slug: 'cumin-seeds' });
+  trashed.slug = 'old-cumin';
+  await assert.rejects(trashed.validate(), /still used by a product in the trash/);
+});
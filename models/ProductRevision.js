@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Snapshot of a product's editable content after a save
+const productRevisionSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true // Numbered from 1 per product
+  },
+  action: {
+    type: String,
+    required: true,
+    trim: true // create, import, update, bulk_*, restore, or baseline for the state found before the first tracked save
+  },
+  restoredFrom: {
+    type: Number // Revision number copied by a restore
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  authorEmail: {
+    type: String // Kept so revisions stay readable after the user is deleted
+  },
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey' // Set when the change was made with an API key
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+productRevisionSchema.index({ product: 1, revision: -1 }, { unique: true });
+
+module.exports = mongoose.model('ProductRevision', productRevisionSchema);
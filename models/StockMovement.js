@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Ledger entry for every change to a product's or variant's stock
+const stockMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId // Variant subdocument, unset for products without variants
+  },
+  sku: {
+    type: String // Variant SKU at the time of the movement
+  },
+  type: {
+    type: String,
+    enum: ['receipt', 'adjustment', 'reservation', 'release', 'shipment'],
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true // Positive, except adjustments which can go either way
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot exceed 100 characters'] // Purchase order, invoice or order number
+  },
+  quantityOnHandAfter: {
+    type: Number
+  },
+  quantityReservedAfter: {
+    type: Number
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey' // Set when the movement was recorded with an API key
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+stockMovementSchema.index({ variant: 1, createdAt: -1 });
+stockMovementSchema.index({ type: 1, createdAt: -1 });
+stockMovementSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const teamMemberSchema = new mongoose.Schema({
   name: {
@@ -78,15 +79,49 @@ const teamMemberSchema = new mongoose.Schema({
   languages: [{
     type: String,
     trim: true
-  }]
+  }],
+  translations: {
+    ar: {
+      name: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+      },
+      position: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Position cannot exceed 100 characters']
+      },
+      bio: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Bio cannot exceed 500 characters']
+      },
+      department: {
+        type: String,
+        trim: true,
+        maxlength: [50, 'Department cannot exceed 50 characters']
+      }
+    }
+  }
 }, {
   timestamps: true
 });
 
 // Index for search functionality
-teamMemberSchema.index({ name: 'text', position: 'text', department: 'text' });
+// Searches both languages; replaces the English-only index (run scripts/syncIndexes.js)
+teamMemberSchema.index({
+  name: 'text',
+  position: 'text',
+  department: 'text',
+  'translations.ar.name': 'text',
+  'translations.ar.position': 'text',
+  'translations.ar.department': 'text'
+}, { name: 'team_member_search', default_language: 'none' });
 teamMemberSchema.index({ department: 1 });
 teamMemberSchema.index({ isActive: 1 });
 teamMemberSchema.index({ email: 1 }, { unique: true });
 
+teamMemberSchema.plugin(softDelete);
+
 module.exports = mongoose.model('TeamMember', teamMemberSchema);
\ No newline at end of file
@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
+const totp = require('../utils/totp');
+const { policy: passwordPolicy } = require('../config/passwordPolicy');
+const { ROLES, OWNER_ROLES, hasPermission, getPermissions } = require('../config/roles');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -17,20 +21,90 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['admin'],
-    default: 'admin'
+    enum: {
+      values: ROLES,
+      message: 'Invalid role'
+    },
+    default: 'viewer'
   },
   isActive: {
     type: Boolean,
     default: true
   },
+  passwordChangedAt: {
+    type: Date
+  },
+  passwordHistory: {
+    type: [String], // Hashes of previous passwords, most recent first
+    select: false
+  },
   lastLogin: {
     type: Date
+  },
+  mustChangePassword: {
+    type: Boolean,
+    default: false
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  deactivatedAt: {
+    type: Date
+  },
+  tokensRevokedAt: {
+    type: Date // Access tokens issued before this moment are rejected
+  },
+  passwordResetTokenHash: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorEnabledAt: {
+    type: Date
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    select: false // Secret awaiting confirmation during enrolment
+  },
+  twoFactorRecoveryCodes: {
+    type: [String], // SHA-256 hashes of unused recovery codes
+    select: false
+  },
+  twoFactorLastStep: {
+    type: Number,
+    select: false // Last accepted TOTP step, to reject replayed codes
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date
+  },
+  lockUntil: {
+    type: Date
   }
 }, {
   timestamps: true
 });
 
+// Whether the account is temporarily locked after failed logins
+userSchema.virtual('isLocked').get(function() {
+  return !!(this.lockUntil && this.lockUntil > new Date());
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -38,6 +112,7 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+    this.passwordChangedAt = new Date();
     next();
   } catch (error) {
     next(error);
@@ -49,10 +124,140 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Check whether a candidate matches the current or a recent password.
+// Requires password and passwordHistory to be selected.
+userSchema.methods.isPasswordReused = async function(candidatePassword) {
+  if (passwordPolicy.historyCount <= 0) return false;
+  const hashes = [this.password, ...(this.passwordHistory || [])].slice(0, passwordPolicy.historyCount);
+
+  for (const hash of hashes) {
+    if (hash && await bcrypt.compare(candidatePassword, hash)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+// Replace the password, keeping the old hash in the history.
+// Requires password and passwordHistory to be selected.
+userSchema.methods.setPassword = function(newPassword) {
+  if (!this.isNew && this.password) {
+    // The new password plus the kept hashes make up the last historyCount passwords
+    this.passwordHistory = [this.password, ...(this.passwordHistory || [])]
+      .slice(0, Math.max(passwordPolicy.historyCount - 1, 0));
+  }
+  this.password = newPassword;
+};
+
+// Date the current password expires, or null when rotation is disabled
+userSchema.methods.getPasswordExpiresAt = function() {
+  if (!passwordPolicy.maxAgeDays) return null;
+  const changedAt = this.passwordChangedAt || this.createdAt;
+  if (!changedAt) return null;
+  return new Date(changedAt.getTime() + passwordPolicy.maxAgeDays * 24 * 60 * 60 * 1000);
+};
+
+// Whether the password is older than the configured maximum age
+userSchema.methods.isPasswordExpired = function() {
+  const expiresAt = this.getPasswordExpiresAt();
+  return !!expiresAt && expiresAt <= new Date();
+};
+
+// Generate a single-use password reset token, storing only its hash
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expireMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+
+  this.passwordResetTokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + expireMinutes * 60 * 1000);
+
+  return token;
+};
+
+// Find the user owning a valid, unexpired reset token
+userSchema.statics.findByPasswordResetToken = function(token) {
+  return this.findOne({
+    passwordResetTokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+    passwordResetExpires: { $gt: new Date() }
+  }).select('+passwordResetTokenHash +passwordResetExpires +passwordHistory');
+};
+
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+};
+
+// Verify a TOTP code against the active secret, rejecting replays.
+// Requires twoFactorSecret and twoFactorLastStep to be selected.
+userSchema.methods.verifyTwoFactorCode = function(code) {
+  const step = totp.verifyCode(this.twoFactorSecret, code);
+  if (step === null) return false;
+  if (this.twoFactorLastStep !== undefined && step <= this.twoFactorLastStep) return false;
+
+  this.twoFactorLastStep = step;
+  return true;
+};
+
+// Replace the recovery codes, returning the plain codes once
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  this.twoFactorRecoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+// Consume a recovery code. Requires twoFactorRecoveryCodes to be selected.
+userSchema.methods.useRecoveryCode = function(code) {
+  if (!code || !this.twoFactorRecoveryCodes) return false;
+
+  const index = this.twoFactorRecoveryCodes.indexOf(hashRecoveryCode(code));
+  if (index === -1) return false;
+
+  this.twoFactorRecoveryCodes.splice(index, 1);
+  return true;
+};
+
+// Turn two-factor authentication off and forget all secrets
+userSchema.methods.clearTwoFactor = function() {
+  this.twoFactorEnabled = false;
+  this.twoFactorEnabledAt = undefined;
+  this.twoFactorSecret = undefined;
+  this.twoFactorPendingSecret = undefined;
+  this.twoFactorRecoveryCodes = undefined;
+  this.twoFactorLastStep = undefined;
+};
+
+// Check whether the user's role grants a permission
+userSchema.methods.can = function(permission) {
+  return hasPermission(this.role, permission);
+};
+
+// List permissions granted by the user's role
+userSchema.methods.getPermissions = function() {
+  return getPermissions(this.role);
+};
+
+// Count active owners (including legacy admins), optionally ignoring one user
+userSchema.statics.countActiveOwners = function(excludeUserId) {
+  const filter = { role: { $in: OWNER_ROLES }, isActive: true };
+  if (excludeUserId) filter._id = { $ne: excludeUserId };
+  return this.countDocuments(filter);
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.passwordHistory;
+  delete userObject.passwordResetTokenHash;
+  delete userObject.passwordResetExpires;
+  delete userObject.twoFactorSecret;
+  delete userObject.twoFactorPendingSecret;
+  delete userObject.twoFactorRecoveryCodes;
+  delete userObject.twoFactorLastStep;
   return userObject;
 };
 
@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const User = require('./User');
+const passwordPolicy = require('../config/passwordPolicy').policy;
+
+// Low cost keeps the hashing fast; the cost is read from each hash
+const hash = (password) => bcrypt.hashSync(password, 4);
+
+// A user as loaded from the database with its password history selected
+const loadUser = (password, history = []) => User.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  email: 'buyer@example.com',
+  role: 'viewer',
+  password: hash(password),
+  passwordHistory: history.map(hash)
+});
+
+test('isPasswordReused matches the current and previous passwords', async () => {
+  const user = loadUser('Current-Pass-1', ['Older-Pass-2', 'Oldest-Pass-3']);
+
+  assert.strictEqual(await user.isPasswordReused('Current-Pass-1'), true);
+  assert.strictEqual(await user.isPasswordReused('Oldest-Pass-3'), true);
+  assert.strictEqual(await user.isPasswordReused('Brand-New-Pass-4'), false);
+});
+
+test('isPasswordReused only looks at the last historyCount passwords', async () => {
+  const history = Array.from({ length: passwordPolicy.historyCount }, (_, index) => `Previous-Pass-${index}`);
+  const user = loadUser('Current-Pass-1', history);
+
+  assert.strictEqual(await user.isPasswordReused(history[passwordPolicy.historyCount - 2]), true);
+  assert.strictEqual(await user.isPasswordReused(history[passwordPolicy.historyCount - 1]), false);
+});
+
+test('setPassword moves the old hash into the history', () => {
+  const user = loadUser('Current-Pass-1', ['Older-Pass-2']);
+  const [currentHash, olderHash] = [user.password, user.passwordHistory[0]];
+
+  user.setPassword('Brand-New-Pass-4');
+
+  assert.strictEqual(user.password, 'Brand-New-Pass-4');
+  assert.deepStrictEqual([...user.passwordHistory], [currentHash, olderHash]);
+});
+
+test('setPassword keeps at most historyCount - 1 old hashes', () => {
+  const history = Array.from({ length: passwordPolicy.historyCount }, (_, index) => `Previous-Pass-${index}`);
+  const user = loadUser('Current-Pass-1', history);
+
+  user.setPassword('Brand-New-Pass-4');
+
+  assert.strictEqual(user.passwordHistory.length, passwordPolicy.historyCount - 1);
+});
+
+test('setPassword on a new user starts without history', () => {
+  const user = new User({ email: 'new@example.com', role: 'viewer' });
+  user.setPassword('Brand-New-Pass-4');
+  assert.strictEqual(user.passwordHistory.length, 0);
+});
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Queries that hide soft-deleted documents unless asked not to
+const FILTERED_QUERIES = ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct'];
+
+// Soft deletes: documents get deletedAt/deletedBy instead of being removed
+// and disappear from queries and aggregations. Use .withDeleted() or
+// .onlyDeleted() on a query, or the withDeleted option on an aggregate,
+// to see them.
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  });
+
+  schema.index({ deletedAt: 1 });
+
+  schema.query.withDeleted = function() {
+    return this.setOptions({ withDeleted: true });
+  };
+
+  schema.query.onlyDeleted = function() {
+    return this.setOptions({ withDeleted: true }).where({ deletedAt: { $ne: null } });
+  };
+
+  schema.pre(FILTERED_QUERIES, function() {
+    // Queries that already filter on deletedAt know what they want
+    if (this.getOptions().withDeleted || this.getFilter().deletedAt !== undefined) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function() {
+    if (this.options.withDeleted) return;
+
+    // $geoNear, $search and $text matches have to stay the first stage
+    const pipeline = this.pipeline();
+    const first = pipeline[0] || {};
+    const position = first.$geoNear || first.$search || (first.$match && first.$match.$text) ? 1 : 0;
+    pipeline.splice(position, 0, { $match: { deletedAt: null } });
+  });
+
+  schema.methods.softDelete = function(userId) {
+    this.deletedAt = new Date();
+    this.deletedBy = userId;
+    // Skip validation so documents from older schema versions can be trashed
+    return this.save({ validateBeforeSave: false });
+  };
+
+  schema.methods.restore = function() {
+    this.deletedAt = undefined;
+    this.deletedBy = undefined;
+    return this.save({ validateBeforeSave: false });
+  };
+};
+
+module.exports = softDelete;
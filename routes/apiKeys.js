@@ -0,0 +1,174 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ApiKey = require('../models/ApiKey');
+const { authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { PERMISSIONS, NON_DELEGABLE_PERMISSIONS } = require('../config/roles');
+
+const router = express.Router();
+
+const DELEGABLE_SCOPES = PERMISSIONS.filter(permission => !NON_DELEGABLE_PERMISSIONS.includes(permission));
+
+// @route   GET /api/api-keys
+// @desc    List API keys
+// @access  Private (apikeys:manage)
+router.get('/', authorize('apikeys:manage'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.includeRevoked !== 'true') {
+      filter.revokedAt = { $exists: false };
+    }
+
+    const apiKeys = await ApiKey.find(filter)
+      .populate('createdBy', 'email')
+      .populate('revokedBy', 'email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: apiKeys,
+      meta: {
+        availableScopes: DELEGABLE_SCOPES
+      }
+    });
+
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching API keys'
+    });
+  }
+});
+
+// @route   POST /api/api-keys
+// @desc    Create an API key. The plain key is only returned in this response.
+// @access  Private (apikeys:manage)
+router.post('/', [
+  authorize('apikeys:manage'),
+  audit('api_key', ApiKey),
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isIn(DELEGABLE_SCOPES)
+    .withMessage('Invalid scope'),
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('expiresAt must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, scopes, expiresAt } = req.body;
+
+    // A key can never do more than the user creating it
+    const notGranted = scopes.filter(scope => !req.user.can(scope));
+    if (notGranted.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot grant scopes you do not have',
+        scopes: notGranted
+      });
+    }
+
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Expiry date must be in the future'
+      });
+    }
+
+    const { apiKey, key } = await ApiKey.generate({
+      name,
+      scopes: [...new Set(scopes)],
+      createdBy: req.user._id,
+      ...(expiresAt && { expiresAt: new Date(expiresAt) })
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again.',
+      data: apiKey,
+      key
+    });
+
+  } catch (error) {
+    console.error('Create API key error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating API key'
+    });
+  }
+});
+
+// @route   DELETE /api/api-keys/:id
+// @desc    Revoke an API key
+// @access  Private (apikeys:manage)
+router.delete('/:id', authorize('apikeys:manage'), audit('api_key', ApiKey, { action: 'revoke' }), async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'API key is already revoked'
+      });
+    }
+
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = req.user._id;
+    await apiKey.save();
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: apiKey
+    });
+
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid API key ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking API key'
+    });
+  }
+});
+
+module.exports = router;
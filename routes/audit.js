@@ -0,0 +1,184 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { validationResult, query } = require('express-validator');
+const AuditLog = require('../models/AuditLog');
+const { authorize } = require('../middleware/auth');
+const { toCsvRow } = require('../utils/csv');
+
+const router = express.Router();
+
+const ENTITY_TYPES = AuditLog.schema.path('entityType').enumValues;
+
+const filterValidators = [
+  query('actor').optional().isMongoId().withMessage('Invalid actor ID'),
+  query('entityType').optional().isIn(ENTITY_TYPES).withMessage('Invalid entity type'),
+  query('entityId').optional().isMongoId().withMessage('Invalid entity ID'),
+  query('action').optional().isLength({ max: 50 }).withMessage('Action too long'),
+  query('from').optional().isISO8601().withMessage('from must be a valid date'),
+  query('to').optional().isISO8601().withMessage('to must be a valid date'),
+  query('search').optional().isLength({ max: 100 }).withMessage('Search term too long')
+];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Build the query shared by the list and the export
+const buildFilter = ({ actor, action, entityType, entityId, from, to, search }) => {
+  const filter = {};
+
+  if (actor) filter.actor = new mongoose.Types.ObjectId(actor);
+  if (action) filter.action = action;
+  if (entityType) filter.entityType = entityType;
+  if (entityId) filter.entityId = new mongoose.Types.ObjectId(entityId);
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to && DATE_ONLY.test(to)) {
+      // A date without a time includes the whole of that day (UTC)
+      const end = new Date(to);
+      end.setUTCDate(end.getUTCDate() + 1);
+      filter.createdAt.$lt = end;
+    } else if (to) {
+      filter.createdAt.$lte = new Date(to);
+    }
+  }
+
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), 'i');
+    filter.$or = [
+      { entityName: pattern },
+      { actorEmail: pattern },
+      { 'changes.field': pattern }
+    ];
+  }
+
+  return filter;
+};
+
+// @route   GET /api/audit
+// @desc    List audit log entries with filtering and pagination
+// @access  Private (audit:read)
+router.get('/', [
+  authorize('audit:read'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  ...filterValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const filter = buildFilter(req.query);
+
+    const entries = await AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('actor', 'email role')
+      .populate('apiKey', 'name prefix');
+
+    const total = await AuditLog.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching audit log'
+    });
+  }
+});
+
+// @route   GET /api/audit/export.csv
+// @desc    Export audit log entries matching the filters as CSV
+// @access  Private (audit:read)
+router.get('/export.csv', [
+  authorize('audit:read'),
+  ...filterValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = buildFilter(req.query);
+    const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.write(toCsvRow([
+      'timestamp', 'actor', 'apiKey', 'action', 'entityType', 'entityId',
+      'entityName', 'changes', 'method', 'path', 'ipAddress'
+    ]));
+
+    // Stream entries so large exports don't have to fit in memory
+    const cursor = AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .populate('apiKey', 'name')
+      .lean()
+      .cursor();
+
+    for await (const entry of cursor) {
+      const changes = (entry.changes || [])
+        .map(change => `${change.field}: ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`)
+        .join('; ');
+
+      res.write(toCsvRow([
+        entry.createdAt,
+        entry.actorEmail,
+        entry.apiKey && entry.apiKey.name,
+        entry.action,
+        entry.entityType,
+        entry.entityId && entry.entityId.toString(),
+        entry.entityName,
+        changes,
+        entry.method,
+        entry.path,
+        entry.ipAddress
+      ]));
+    }
+
+    res.end();
+
+  } catch (error) {
+    console.error('Export audit log error:', error);
+
+    // Headers are gone once streaming started, so just cut the response
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting audit log'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,116 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
+const QRCode = require('qrcode');
 const User = require('../models/User');
-const { auth } = require('../middleware/auth');
+const Setting = require('../models/Setting');
+const Session = require('../models/Session');
+const { auth, twoFactorSetupAuth, passwordChangeAuth } = require('../middleware/auth');
+const totp = require('../utils/totp');
+const {
+  issueTokens,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAccessToken,
+  revokeAllUserTokens
+} = require('../utils/tokens');
+const { sendMail } = require('../config/mailer');
+const { policy: passwordPolicy, validatePassword, describePolicy } = require('../config/passwordPolicy');
+const {
+  checkIpThrottle,
+  checkAccountThrottle,
+  recordFailedLogin,
+  recordBlockedLogin,
+  recordSuccessfulLogin
+} = require('../utils/loginProtection');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+// Reject a login attempt that has to wait, telling the client for how long
+const sendRetryLater = (res, status, message, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(status).json({
+    success: false,
+    message,
+    retryAfter
+  });
+};
+
+// Reject attempts on locked or throttled accounts, or null to continue
+const rejectThrottledAccount = async (user, req, res) => {
+  const throttle = checkAccountThrottle(user);
+
+  if (throttle.locked) {
+    await recordBlockedLogin(user, req, 'locked');
+    return sendRetryLater(res, 423, 'Account is temporarily locked due to too many failed login attempts', throttle.retryAfter);
+  }
+
+  if (throttle.throttled) {
+    await recordBlockedLogin(user, req, 'throttled');
+    return sendRetryLater(res, 429, 'Too many failed login attempts. Please wait before trying again.', throttle.retryAfter);
+  }
+
+  return null;
+};
+
+// Count a failed attempt and reply, mentioning the lock if it just kicked in
+const rejectFailedLogin = async (user, req, res, reason, message) => {
+  const result = await recordFailedLogin(user, req, reason);
+
+  if (result.locked) {
+    return sendRetryLater(res, 423, 'Account is temporarily locked due to too many failed login attempts', result.retryAfter);
+  }
+
+  return res.status(401).json({
+    success: false,
+    message
+  });
+};
+
+// Check a new password against the policy and the user's password history
+const checkNewPassword = async (user, newPassword) => {
+  const errors = validatePassword(newPassword, { email: user.email });
+  if (errors.length === 0 && await user.isPasswordReused(newPassword)) {
+    errors.push(`Password cannot be one of your last ${passwordPolicy.historyCount} passwords`);
+  }
+  return errors;
+};
+
+// Password rotation status reported to the client
+const getPasswordStatus = (user) => ({
+  passwordChangedAt: user.passwordChangedAt,
+  passwordExpiresAt: user.getPasswordExpiresAt(),
+  passwordExpired: user.isPasswordExpired()
+});
+
+// Record the login, issue tokens and send the login response
+const completeLogin = async (user, req, res) => {
+  await recordSuccessfulLogin(user, req);
+
+  // Update last login
+  user.lastLogin = new Date();
+  await user.save();
+
+  // Generate access and refresh tokens
+  const tokens = await issueTokens(user, req);
+  const settings = await Setting.getSettings();
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    ...tokens,
+    ...(settings.requireTwoFactor && !user.twoFactorEnabled && { twoFactorSetupRequired: true }),
+    user: {
+      id: user._id,
+      email: user.email,
+      role: user.role,
+      permissions: user.getPermissions(),
+      mustChangePassword: user.mustChangePassword || user.isPasswordExpired(),
+      ...getPasswordStatus(user),
+      twoFactorEnabled: user.twoFactorEnabled,
+      lastLogin: user.lastLogin
+    }
   });
 };
 
@@ -38,17 +139,24 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
+    // Block addresses with too many recent failures
+    const ipThrottle = await checkIpThrottle(req);
+    if (ipThrottle.blocked) {
+      return sendRetryLater(res, 429, 'Too many failed login attempts from this IP. Please try again later.', ipThrottle.retryAfter);
+    }
+
     // Check if user exists
     const user = await User.findOne({ email });
     if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
+      return rejectFailedLogin(null, req, res, 'unknown_user', 'Invalid credentials');
     }
 
+    // Check if account is locked or must wait
+    if (await rejectThrottledAccount(user, req, res)) return;
+
     // Check if account is active
     if (!user.isActive) {
+      await recordBlockedLogin(user, req, 'deactivated');
       return res.status(401).json({
         success: false,
         message: 'Account is deactivated'
@@ -58,33 +166,102 @@ router.post('/login', [
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      return rejectFailedLogin(user, req, res, 'invalid_password', 'Invalid credentials');
+    }
+
+    // Users with two-factor enabled must finish the login with a code
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication code required',
+        twoFactorRequired: true,
+        twoFactorToken: generateTwoFactorChallenge(user._id)
+      });
+    }
+
+    await completeLogin(user, req, res);
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+// @route   POST /api/auth/login/2fa
+// @desc    Complete a login with a TOTP or recovery code
+// @access  Public
+router.post('/login/2fa', [
+  body('twoFactorToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Two-factor token is required'),
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  body('recoveryCode')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Invalid recovery code')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { twoFactorToken, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide an authentication code or a recovery code'
+      });
+    }
+
+    const challenge = verifyTwoFactorChallenge(twoFactorToken);
+    if (!challenge) {
+      return res.status(401).json({
+        success: false,
+        message: 'Two-factor session expired. Please log in again.'
+      });
+    }
+
+    const ipThrottle = await checkIpThrottle(req);
+    if (ipThrottle.blocked) {
+      return sendRetryLater(res, 429, 'Too many failed login attempts from this IP. Please try again later.', ipThrottle.retryAfter);
+    }
+
+    const user = await User.findById(challenge.id)
+      .select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastStep');
+
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+    if (await rejectThrottledAccount(user, req, res)) return;
 
-    // Generate token
-    const token = generateToken(user._id);
+    const isValid = code ? user.verifyTwoFactorCode(code) : user.useRecoveryCode(recoveryCode);
+    if (!isValid) {
+      return rejectFailedLogin(user, req, res, 'invalid_two_factor', 'Invalid authentication code');
+    }
 
-    res.json({
-      success: true,
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        email: user.email,
-        role: user.role,
-        lastLogin: user.lastLogin
-      }
-    });
+    await completeLogin(user, req, res);
 
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Two-factor login error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error during login'
@@ -92,10 +269,20 @@ router.post('/login', [
   }
 });
 
+// @route   GET /api/auth/password-policy
+// @desc    Get the password rules new passwords must follow
+// @access  Public
+router.get('/password-policy', (req, res) => {
+  res.json({
+    success: true,
+    data: describePolicy()
+  });
+});
+
 // @route   GET /api/auth/verify
 // @desc    Verify token and get user info
 // @access  Private
-router.get('/verify', auth, async (req, res) => {
+router.get('/verify', passwordChangeAuth, async (req, res) => {
   try {
     res.json({
       success: true,
@@ -103,6 +290,10 @@ router.get('/verify', auth, async (req, res) => {
         id: req.user._id,
         email: req.user.email,
         role: req.user.role,
+        permissions: req.user.getPermissions(),
+        mustChangePassword: req.user.mustChangePassword || req.user.isPasswordExpired(),
+        ...getPasswordStatus(req.user),
+        twoFactorEnabled: req.user.twoFactorEnabled,
         lastLogin: req.user.lastLogin
       }
     });
@@ -119,13 +310,14 @@ router.get('/verify', auth, async (req, res) => {
 // @desc    Change admin password
 // @access  Private
 router.post('/change-password', [
-  auth,
+  passwordChangeAuth,
   body('currentPassword')
     .isLength({ min: 6 })
     .withMessage('Current password is required'),
   body('newPassword')
-    .isLength({ min: 6 })
-    .withMessage('New password must be at least 6 characters long')
+    .isString()
+    .notEmpty()
+    .withMessage('New password is required')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -140,8 +332,8 @@ router.post('/change-password', [
 
     const { currentPassword, newPassword } = req.body;
 
-    // Get user with password
-    const user = await User.findById(req.user._id);
+    // Get user with password and password history
+    const user = await User.findById(req.user._id).select('+passwordHistory');
     
     // Verify current password
     const isCurrentPasswordValid = await user.comparePassword(currentPassword);
@@ -152,13 +344,28 @@ router.post('/change-password', [
       });
     }
 
+    const passwordErrors = await checkNewPassword(user, newPassword);
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password does not meet the password policy',
+        errors: passwordErrors
+      });
+    }
+
     // Update password
-    user.password = newPassword;
+    user.setPassword(newPassword);
+    user.mustChangePassword = false;
     await user.save();
 
+    // Sign out every other session and hand this client a fresh pair
+    await revokeAllUserTokens(user);
+    const tokens = await issueTokens(user, req);
+
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      ...tokens
     });
 
   } catch (error) {
@@ -170,14 +377,528 @@ router.post('/change-password', [
   }
 });
 
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrolment and get the provisioning URI
+// @access  Private
+router.post('/2fa/setup', twoFactorSetupAuth, async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = totp.generateSecret();
+    const otpauthUrl = totp.buildOtpAuthUri(secret, req.user.email);
+
+    await User.updateOne({ _id: req.user._id }, { $set: { twoFactorPendingSecret: secret } });
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl,
+        qrCode: await QRCode.toDataURL(otpauthUrl)
+      }
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor setup'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrolment with a code and receive recovery codes
+// @access  Private
+router.post('/2fa/enable', [
+  twoFactorSetupAuth,
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = totp.verifyCode(user.twoFactorPendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorLastStep = step;
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = new Date();
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe.',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while enabling two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable two-factor authentication
+// @access  Private
+router.post('/2fa/disable', [
+  auth,
+  body('password')
+    .isLength({ min: 1 })
+    .withMessage('Password is required'),
+  body('code')
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Authentication or recovery code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const settings = await Setting.getSettings();
+    if (settings.requireTwoFactor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is required for all users'
+      });
+    }
+
+    const user = await User.findById(req.user._id)
+      .select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastStep');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const { password, code } = req.body;
+
+    const isPasswordValid = await user.comparePassword(password);
+    const isCodeValid = isPasswordValid &&
+      (/^\d{6}$/.test(code) ? user.verifyTwoFactorCode(code) : user.useRecoveryCode(code));
+    if (!isPasswordValid || !isCodeValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password or authentication code is incorrect'
+      });
+    }
+
+    user.clearTwoFactor();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while disabling two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Regenerate recovery codes
+// @access  Private
+router.post('/2fa/recovery-codes', [
+  auth,
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactorSecret +twoFactorLastStep');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Recovery codes regenerated. Previous codes no longer work.',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while regenerating recovery codes'
+    });
+  }
+});
+
+// Build the dashboard link included in password reset emails
+const buildPasswordResetUrl = (token) => {
+  const baseUrl = process.env.PASSWORD_RESET_URL || `${process.env.DASHBOARD_URL || 'http://localhost:3000'}/reset-password`;
+  return `${baseUrl}?token=${encodeURIComponent(token)}`;
+};
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    // Only active accounts get a link, but the response never reveals
+    // whether the email is registered
+    if (user && user.isActive) {
+      const token = user.createPasswordResetToken();
+      await user.save();
+
+      const resetUrl = buildPasswordResetUrl(token);
+      const expireMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+
+      try {
+        await sendMail({
+          to: user.email,
+          subject: 'Reset your Herbs Dashboard password',
+          text: `A password reset was requested for your account.\n\n` +
+            `Open the link below within ${expireMinutes} minutes to choose a new password:\n${resetUrl}\n\n` +
+            `If you did not request this, you can ignore this email.`,
+          html: `<p>A password reset was requested for your account.</p>` +
+            `<p>Open the link below within ${expireMinutes} minutes to choose a new password:</p>` +
+            `<p><a href="${resetUrl}">${resetUrl}</a></p>` +
+            `<p>If you did not request this, you can ignore this email.</p>`
+        });
+      } catch (error) {
+        // Answered like any other request so failures don't reveal that
+        // the account exists
+        console.error('Send password reset email error:', error);
+        user.passwordResetTokenHash = undefined;
+        user.passwordResetExpires = undefined;
+        await user.save();
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting password reset'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post('/reset-password', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('newPassword')
+    .isString()
+    .notEmpty()
+    .withMessage('New password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, newPassword } = req.body;
+
+    const user = await User.findByPasswordResetToken(token);
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset token is invalid or has expired'
+      });
+    }
+
+    const passwordErrors = await checkNewPassword(user, newPassword);
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password does not meet the password policy',
+        errors: passwordErrors
+      });
+    }
+
+    // Hashed by the pre-save hook; the token is cleared so it cannot be reused
+    user.setPassword(newPassword);
+    user.mustChangePassword = false;
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    await revokeAllUserTokens(user);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during password reset'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await rotateRefreshToken(req.body.refreshToken, req);
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      ...result.tokens
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during token refresh'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions
+// @access  Private
+router.get('/sessions', twoFactorSetupAuth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastSeenAt: -1 });
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        id: session._id,
+        device: session.device,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        lastSeenIp: session.lastSeenIp,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        expiresAt: session.expiresAt,
+        current: session._id.equals(req.authSession._id)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', twoFactorSetupAuth, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSession(session._id);
+    if (session._id.equals(req.authSession._id)) {
+      await revokeAccessToken(req.tokenPayload);
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking session'
+    });
+  }
+});
+
 // @route   POST /api/auth/logout
-// @desc    Logout (client-side token removal)
+// @desc    Logout current session
 // @access  Private
-router.post('/logout', auth, (req, res) => {
-  res.json({
-    success: true,
-    message: 'Logout successful'
-  });
+router.post('/logout', passwordChangeAuth, async (req, res) => {
+  try {
+    await revokeAccessToken(req.tokenPayload);
+    await revokeSession(req.authSession._id);
+
+    res.json({
+      success: true,
+      message: 'Logout successful'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Logout from all devices
+// @access  Private
+router.post('/logout-all', passwordChangeAuth, async (req, res) => {
+  try {
+    await revokeAllUserTokens(req.user);
+    await revokeAccessToken(req.tokenPayload);
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices'
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
 });
 
 module.exports = router;
\ No newline at end of file
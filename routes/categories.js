@@ -2,14 +2,25 @@ const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Category = require('../models/Category');
 const Product = require('../models/Product');
-const { adminAuth } = require('../middleware/auth');
+const { authorize, optionalAuth, hasAccess } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { language } = require('../middleware/language');
+const { getTranslatableFields, localize, parseTranslations, applyTranslations } = require('../utils/i18n');
 
 const router = express.Router();
 
+const TRANSLATABLE_FIELDS = getTranslatableFields(Category);
+const PRODUCT_TRANSLATABLE_FIELDS = getTranslatableFields(Product);
+
+// Product conditions for counts and listings: the public only sees published products
+const visibleProducts = (req) => hasAccess(req, 'products:write') ? {} : { status: 'published' };
+
 // @route   GET /api/categories
 // @desc    Get all categories with product counts
 // @access  Public
 router.get('/', [
+  optionalAuth,
+  language,
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   query('search').optional().isLength({ max: 100 }).withMessage('Search term too long')
@@ -40,14 +51,15 @@ router.get('/', [
       filter.$text = { $search: search };
     }
 
-    // Get categories with pagination
+    // Get categories with pagination, in their set order
     const categories = await Category.find(filter)
-      .sort({ createdAt: -1 })
+      .sort({ sortOrder: 1, createdAt: -1 })
       .skip(skip)
       .limit(limit);
 
     // Get product counts for each category
     const productCounts = await Product.aggregate([
+      { $match: visibleProducts(req) },
       {
         $group: {
           _id: '$category',
@@ -68,7 +80,7 @@ router.get('/', [
 
     // Add counts to categories
     const categoriesWithCounts = categories.map(category => ({
-      ...category.toObject(),
+      ...localize(category, TRANSLATABLE_FIELDS, req.language),
       productCount: countsMap[category._id.toString()]?.total || 0,
       inStockCount: countsMap[category._id.toString()]?.inStock || 0
     }));
@@ -99,7 +111,7 @@ router.get('/', [
 // @route   GET /api/categories/:id
 // @desc    Get single category with products
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, language, async (req, res) => {
   try {
     const category = await Category.findById(req.params.id);
     
@@ -111,12 +123,12 @@ router.get('/:id', async (req, res) => {
     }
 
     // Get products in this category
-    const products = await Product.find({ category: category._id })
+    const products = await Product.find({ category: category._id, ...visibleProducts(req) })
       .sort({ createdAt: -1 });
 
     // Get category statistics
     const stats = await Product.aggregate([
-      { $match: { category: category._id } },
+      { $match: { category: category._id, ...visibleProducts(req) } },
       {
         $group: {
           _id: null,
@@ -131,8 +143,8 @@ router.get('/:id', async (req, res) => {
     res.json({
       success: true,
       data: {
-        category,
-        products,
+        category: localize(category, TRANSLATABLE_FIELDS, req.language),
+        products: products.map(product => localize(product, PRODUCT_TRANSLATABLE_FIELDS, req.language)),
         stats: stats[0] || { total: 0, inStock: 0, featured: 0, avgPrice: 0 }
       }
     });
@@ -156,13 +168,19 @@ router.get('/:id', async (req, res) => {
 
 // @route   POST /api/categories
 // @desc    Create new category
-// @access  Private (Admin)
+// @access  Private (categories:write)
 router.post('/', [
-  adminAuth,
+  authorize('categories:write'),
+  audit('category', Category),
   body('name')
     .trim()
     .isLength({ min: 1, max: 50 })
-    .withMessage('Category name must be between 1 and 50 characters')
+    .withMessage('Category name must be between 1 and 50 characters'),
+  body('sortOrder')
+    .optional()
+    .isInt()
+    .withMessage('Sort order must be a whole number')
+    .toInt()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -176,6 +194,16 @@ router.post('/', [
 
     const { name } = req.body;
 
+    let translations;
+    try {
+      translations = parseTranslations(req.body.translations, TRANSLATABLE_FIELDS);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid translations: ' + error.message
+      });
+    }
+
     // Check if category name already exists
     const existingCategory = await Category.findOne({ 
       name: { $regex: new RegExp(`^${name}$`, 'i') } 
@@ -191,8 +219,10 @@ router.post('/', [
     const categoryData = {
       name
     };
+    if (req.body.sortOrder !== undefined) categoryData.sortOrder = req.body.sortOrder;
 
     const category = new Category(categoryData);
+    applyTranslations(category, translations);
     await category.save();
 
     res.status(201).json({
@@ -228,14 +258,20 @@ router.post('/', [
 
 // @route   PUT /api/categories/:id
 // @desc    Update category
-// @access  Private (Admin)
+// @access  Private (categories:write)
 router.put('/:id', [
-  adminAuth,
+  authorize('categories:write'),
+  audit('category', Category),
   body('name')
     .optional()
     .trim()
     .isLength({ min: 1, max: 50 })
-    .withMessage('Category name must be between 1 and 50 characters')
+    .withMessage('Category name must be between 1 and 50 characters'),
+  body('sortOrder')
+    .optional()
+    .isInt()
+    .withMessage('Sort order must be a whole number')
+    .toInt()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -258,6 +294,16 @@ router.put('/:id', [
 
     const { name, isActive } = req.body;
 
+    let translations;
+    try {
+      translations = parseTranslations(req.body.translations, TRANSLATABLE_FIELDS);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid translations: ' + error.message
+      });
+    }
+
     // Check if new name already exists (excluding current category)
     if (name && name !== category.name) {
       const existingCategory = await Category.findOne({ 
@@ -276,6 +322,8 @@ router.put('/:id', [
     // Update fields
     if (name) category.name = name;
     if (isActive !== undefined) category.isActive = isActive === 'true';
+    if (req.body.sortOrder !== undefined) category.sortOrder = req.body.sortOrder;
+    applyTranslations(category, translations);
 
     await category.save();
 
@@ -319,8 +367,8 @@ router.put('/:id', [
 
 // @route   DELETE /api/categories/:id
 // @desc    Delete category
-// @access  Private (Admin)
-router.delete('/:id', adminAuth, async (req, res) => {
+// @access  Private (categories:delete)
+router.delete('/:id', authorize('categories:delete'), audit('category', Category), async (req, res) => {
   try {
     const category = await Category.findById(req.params.id);
     
@@ -331,13 +379,18 @@ router.delete('/:id', adminAuth, async (req, res) => {
       });
     }
 
-    // Check if category has products
-    const productCount = await Product.countDocuments({ category: category._id });
+    // Check if category has products, counting those in the trash since they can be restored
+    const [productCount, trashedCount] = await Promise.all([
+      Product.countDocuments({ category: category._id }),
+      Product.countDocuments({ category: category._id }).onlyDeleted()
+    ]);
     
-    if (productCount > 0) {
+    if (productCount + trashedCount > 0) {
       return res.status(400).json({
         success: false,
-        message: `Cannot delete category. It has ${productCount} products. Please move or delete the products first.`
+        message: trashedCount > 0
+          ? `Cannot delete category. It has ${productCount} products and ${trashedCount} in the trash. Please move or purge them first.`
+          : `Cannot delete category. It has ${productCount} products. Please move or delete the products first.`
       });
     }
 
@@ -367,8 +420,8 @@ router.delete('/:id', adminAuth, async (req, res) => {
 
 // @route   GET /api/categories/stats/overview
 // @desc    Get categories overview statistics
-// @access  Private (Admin)
-router.get('/stats/overview', adminAuth, async (req, res) => {
+// @access  Private (dashboard:read)
+router.get('/stats/overview', authorize('dashboard:read'), async (req, res) => {
   try {
     // Get comprehensive statistics
     const stats = await Product.aggregate([
@@ -1,15 +1,34 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Certificate = require('../models/Certificate');
-const { adminAuth } = require('../middleware/auth');
+const Product = require('../models/Product');
+const { authorize, optionalAuth, hasAccess } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { language } = require('../middleware/language');
+const { getTranslatableFields, localize, parseTranslations, applyTranslations } = require('../utils/i18n');
 const { uploadCertificate, deleteImage, deleteRaw, extractPublicId } = require('../config/cloudinary');
 
 const router = express.Router();
 
+const TRANSLATABLE_FIELDS = getTranslatableFields(Certificate);
+const PRODUCT_TRANSLATABLE_FIELDS = getTranslatableFields(Product);
+
+// Staff who can edit products also see unpublished products covered by a certificate
+const coveredProductFilter = (req) => (hasAccess(req, 'products:write') ? {} : { status: 'published' });
+
+// Localize a certificate and flag it when expired
+const localizeCertificate = (certificate, lang) => ({
+  ...localize(certificate, TRANSLATABLE_FIELDS, lang),
+  isExpired: Certificate.isExpired(certificate)
+});
+
 // @route   GET /api/certificates
-// @desc    Get all certificates with filtering and pagination
+// @desc    Get all certificates with filtering and pagination, with the
+//          number of products citing each
 // @access  Public
 router.get('/', [
+  optionalAuth,
+  language,
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   query('category').optional().isIn(['quality', 'organic', 'safety', 'environmental', 'other']).withMessage('Invalid category'),
@@ -54,9 +73,19 @@ router.get('/', [
     // Get total count for pagination
     const total = await Certificate.countDocuments(filter);
 
+    const counts = await Product.aggregate([
+      { $match: { ...coveredProductFilter(req), certifications: { $in: certificates.map(certificate => certificate._id) } } },
+      { $unwind: '$certifications' },
+      { $group: { _id: '$certifications', count: { $sum: 1 } } }
+    ]);
+    const productCounts = new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+
     res.json({
       success: true,
-      data: certificates,
+      data: certificates.map(certificate => ({
+        ...localizeCertificate(certificate, req.language),
+        productCount: productCounts.get(certificate._id.toString()) || 0
+      })),
       pagination: {
         current: page,
         pages: Math.ceil(total / limit),
@@ -75,9 +104,9 @@ router.get('/', [
 });
 
 // @route   GET /api/certificates/:id
-// @desc    Get single certificate
-// @access  Public
-router.get('/:id', async (req, res) => {
+// @desc    Get single certificate with the products that cite it
+// @access  Public (unpublished products for staff only)
+router.get('/:id', optionalAuth, language, async (req, res) => {
   try {
     const certificate = await Certificate.findById(req.params.id);
     
@@ -88,9 +117,22 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    // Only the translated name is read, to localize the product names
+    const products = await Product.find({ ...coveredProductFilter(req), certifications: certificate._id })
+      .select(`name slug image status translations.${req.language}.name`)
+      .sort({ name: 1 })
+      .lean();
+
     res.json({
       success: true,
-      data: certificate
+      data: {
+        ...localizeCertificate(certificate, req.language),
+        products: products.map(product => {
+          const data = localize(product, PRODUCT_TRANSLATABLE_FIELDS, req.language);
+          delete data.translations;
+          return data;
+        })
+      }
     });
 
   } catch (error) {
@@ -112,9 +154,10 @@ router.get('/:id', async (req, res) => {
 
 // @route   POST /api/certificates
 // @desc    Create new certificate
-// @access  Private (Admin)
+// @access  Private (certificates:write)
 router.post('/', [
-  adminAuth,
+  authorize('certificates:write'),
+  audit('certificate', Certificate),
   // Accept optional 'image' and optional 'document' (PDF)
   (req, res, next) => {
     const upload = uploadCertificate.fields([
@@ -163,6 +206,16 @@ router.post('/', [
 
     const { name, description, category, issuer, certificateNumber, issueDate, expiryDate } = req.body;
 
+    let translations;
+    try {
+      translations = parseTranslations(req.body.translations, TRANSLATABLE_FIELDS);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid translations: ' + error.message
+      });
+    }
+
     // Gather uploaded files
     const imageFile = req.files && req.files.image && req.files.image[0];
     const documentFile = req.files && req.files.document && req.files.document[0];
@@ -208,6 +261,7 @@ router.post('/', [
     // already set above if present
 
     const certificate = new Certificate(certificateData);
+    applyTranslations(certificate, translations);
     await certificate.save();
 
     res.status(201).json({
@@ -236,9 +290,10 @@ router.post('/', [
 
 // @route   PUT /api/certificates/:id
 // @desc    Update certificate
-// @access  Private (Admin)
+// @access  Private (certificates:write)
 router.put('/:id', [
-  adminAuth,
+  authorize('certificates:write'),
+  audit('certificate', Certificate),
   (req, res, next) => {
     const upload = uploadCertificate.fields([
       { name: 'image', maxCount: 1 },
@@ -297,6 +352,16 @@ router.put('/:id', [
 
     const { name, description, category, issuer, certificateNumber, issueDate, expiryDate, documentUrl, isActive } = req.body;
 
+    let translations;
+    try {
+      translations = parseTranslations(req.body.translations, TRANSLATABLE_FIELDS);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid translations: ' + error.message
+      });
+    }
+
     // Gather uploaded files
     const imageFile = req.files && req.files.image && req.files.image[0];
     const documentFile = req.files && req.files.document && req.files.document[0];
@@ -361,6 +426,8 @@ router.put('/:id', [
     if (documentUrl) certificate.documentUrl = documentUrl;
     if (isActive !== undefined) certificate.isActive = isActive === 'true';
 
+    applyTranslations(certificate, translations);
+
     await certificate.save();
 
     res.json({
@@ -395,9 +462,9 @@ router.put('/:id', [
 });
 
 // @route   DELETE /api/certificates/:id
-// @desc    Delete certificate
-// @access  Private (Admin)
-router.delete('/:id', adminAuth, async (req, res) => {
+// @desc    Move certificate to the trash
+// @access  Private (certificates:delete)
+router.delete('/:id', authorize('certificates:delete'), audit('certificate', Certificate), async (req, res) => {
   try {
     const certificate = await Certificate.findById(req.params.id);
     
@@ -408,20 +475,12 @@ router.delete('/:id', adminAuth, async (req, res) => {
       });
     }
 
-    // Delete image from Cloudinary if it exists
-    if (certificate.imagePublicId) {
-      try {
-        await deleteImage(certificate.imagePublicId);
-      } catch (error) {
-        console.error('Error deleting image:', error);
-      }
-    }
-
-    await Certificate.findByIdAndDelete(req.params.id);
+    // Files stay on Cloudinary until the certificate is purged from the trash
+    await certificate.softDelete(req.user._id);
 
     res.json({
       success: true,
-      message: 'Certificate deleted successfully'
+      message: 'Certificate moved to trash'
     });
 
   } catch (error) {
@@ -1,7 +1,8 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Contact = require('../models/Contact');
-const { adminAuth } = require('../middleware/auth');
+const { authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 
 const router = express.Router();
 
@@ -99,9 +100,10 @@ router.get('/:id', async (req, res) => {
 
 // @route   POST /api/contact
 // @desc    Create new contact method
-// @access  Private (Admin)
+// @access  Private (contact:write)
 router.post('/', [
-  adminAuth,
+  authorize('contact:write'),
+  audit('contact', Contact),
   body('type')
     .trim()
     .isLength({ min: 1, max: 50 })
@@ -177,9 +179,10 @@ router.post('/', [
 
 // @route   PUT /api/contact/:id
 // @desc    Update contact method
-// @access  Private (Admin)
+// @access  Private (contact:write)
 router.put('/:id', [
-  adminAuth,
+  authorize('contact:write'),
+  audit('contact', Contact),
   body('type')
     .optional()
     .trim()
@@ -272,8 +275,8 @@ router.put('/:id', [
 
 // @route   DELETE /api/contact/:id
 // @desc    Delete contact method
-// @access  Private (Admin)
-router.delete('/:id', adminAuth, async (req, res) => {
+// @access  Private (contact:delete)
+router.delete('/:id', authorize('contact:delete'), audit('contact', Contact), async (req, res) => {
   try {
     const contact = await Contact.findById(req.params.id);
     
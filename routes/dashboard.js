@@ -1,14 +1,18 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Category = require('../models/Category');
 const Product = require('../models/Product');
 const Certificate = require('../models/Certificate');
 const Team = require('../models/TeamMember');
 const Message = require('../models/Message');
+const User = require('../models/User');
+const LoginEvent = require('../models/LoginEvent');
+const { authorize } = require('../middleware/auth');
 // const Contact = require('../models/Contact'); // Not needed if using Message model
 
 // Get dashboard overview data
-router.get('/overview', async (req, res) => {
+router.get('/overview', authorize('dashboard:read'), async (req, res) => {
   try {
     // Get counts for all entities
     const [
@@ -205,6 +209,69 @@ router.get('/overview', async (req, res) => {
   }
 });
 
+// Get login security events, locked accounts and a 24h summary
+router.get('/security', authorize('users:manage'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+    const { type, user, ip } = req.query;
+
+    // Build filter object
+    let filter = {};
+
+    if (type) filter.type = type;
+    if (user && mongoose.Types.ObjectId.isValid(user)) filter.user = user;
+    if (ip) filter.ipAddress = ip;
+
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+    const [events, total, lockedAccounts, summary] = await Promise.all([
+      LoginEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('user', 'email role')
+        .populate('performedBy', 'email'),
+      LoginEvent.countDocuments(filter),
+      User.find({ lockUntil: { $gt: new Date() } })
+        .select('email role failedLoginAttempts lastFailedLoginAt lockUntil'),
+      LoginEvent.aggregate([
+        { $match: { createdAt: { $gte: since } } },
+        { $group: { _id: '$type', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const last24Hours = {};
+    summary.forEach(item => {
+      last24Hours[item._id] = item.count;
+    });
+
+    res.json({
+      success: true,
+      data: {
+        events,
+        lockedAccounts,
+        last24Hours
+      },
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching security events:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch security events',
+      error: error.message
+    });
+  }
+});
+
 // Helper function to calculate time ago
 function getTimeAgo(date) {
   const now = new Date();
@@ -0,0 +1,272 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const { authorize } = require('../middleware/auth');
+const { language } = require('../middleware/language');
+const { SORT_FIELDS, parseSort, buildProductFilter } = require('../utils/productFilters');
+const { EXPORT_FORMATS, streamExport } = require('../utils/export');
+const { getCatalogPdf } = require('../utils/catalogPdf');
+const { resolveMapping } = require('../utils/productImport');
+
+const router = express.Router();
+
+// Product columns; headers match what the product import recognises
+const PRODUCT_COLUMNS = [
+  { header: 'id', value: product => product._id.toString(), width: 26 },
+  { header: 'name', value: product => product.name, width: 30 },
+  { header: 'slug', value: product => product.slug, width: 30 },
+  { header: 'description', value: product => product.description, width: 60 },
+  { header: 'category', value: product => product.category && product.category.name },
+  { header: 'price', value: product => product.price, width: 10 },
+  { header: 'inStock', value: product => product.inStock, width: 10 },
+  { header: 'stockStatus', value: product => product.stockStatus },
+  { header: 'quantityOnHand', value: product => product.quantityOnHand, width: 12 },
+  { header: 'quantityReserved', value: product => product.quantityReserved, width: 12 },
+  { header: 'lowStockThreshold', value: product => product.lowStockThreshold, width: 12 },
+  { header: 'featured', value: product => product.featured, width: 10 },
+  { header: 'status', value: product => product.status, width: 12 },
+  { header: 'publishedAt', value: product => product.publishedAt },
+  { header: 'publishAt', value: product => product.publishAt },
+  { header: 'unpublishAt', value: product => product.unpublishAt },
+  { header: 'tags', value: product => product.tags, width: 30 },
+  { header: 'certifications', value: product => (product.certifications || []).filter(Boolean).map(certificate => certificate.name), width: 30 },
+  { header: 'origin', value: product => product.origin },
+  { header: 'hsCode', value: product => product.specifications && product.specifications.hsCode, width: 12 },
+  { header: 'botanicalName', value: product => product.specifications && product.specifications.botanicalName, width: 30 },
+  { header: 'moisturePercent', value: product => product.specifications && product.specifications.moisturePercent, width: 10 },
+  { header: 'ashPercent', value: product => product.specifications && product.specifications.ashPercent, width: 10 },
+  { header: 'volatileOilPercent', value: product => product.specifications && product.specifications.volatileOilPercent, width: 10 },
+  { header: 'purityPercent', value: product => product.specifications && product.specifications.purityPercent, width: 10 },
+  { header: 'form', value: product => product.specifications && product.specifications.form, width: 10 },
+  {
+    header: 'cutSize',
+    value: product => product.specifications && product.specifications.cutSize && product.specifications.cutSize.unit
+      ? `${product.specifications.cutSize.value} ${product.specifications.cutSize.unit}`
+      : undefined,
+    width: 12
+  },
+  {
+    header: 'shelfLife',
+    value: product => product.specifications && product.specifications.shelfLife && product.specifications.shelfLife.unit
+      ? `${product.specifications.shelfLife.value} ${product.specifications.shelfLife.unit}`
+      : undefined,
+    width: 12
+  },
+  { header: 'storageConditions', value: product => product.specifications && product.specifications.storageConditions, width: 40 },
+  { header: 'packagingOptions', value: product => product.specifications && product.specifications.packagingOptions, width: 30 },
+  { header: 'image', value: product => product.image, width: 50 },
+  { header: 'images', value: product => (product.images || []).map(image => image.url).join(' | '), width: 50 },
+  { header: 'metaTitle', value: product => product.metaTitle, width: 30 },
+  { header: 'metaDescription', value: product => product.metaDescription, width: 50 },
+  { header: 'ogImage', value: product => product.ogImage, width: 50 },
+  { header: 'name_ar', value: product => product.translations && product.translations.ar && product.translations.ar.name, width: 30 },
+  { header: 'description_ar', value: product => product.translations && product.translations.ar && product.translations.ar.description, width: 60 },
+  { header: 'origin_ar', value: product => product.translations && product.translations.ar && product.translations.ar.origin },
+  {
+    header: 'variants',
+    // e.g. "CUM-50G: 50 g @ 3.5 (MOQ 1, in_stock, 120 on hand)"
+    value: product => (product.variants || []).map(variant =>
+      `${variant.sku}: ${variant.packSize} ${variant.packUnit}` +
+      (variant.price !== undefined ? ` @ ${variant.price}` : '') +
+      ` (MOQ ${variant.moq}, ${variant.stockStatus}, ${variant.quantityOnHand || 0} on hand)`
+    ).join(' | '),
+    width: 60
+  },
+  { header: 'createdAt', value: product => product.createdAt },
+  { header: 'updatedAt', value: product => product.updatedAt }
+];
+
+// Exported product files must import as they are. resolveMapping throws when
+// two headers map to the same field, so a clash fails at startup rather than
+// on every import.
+resolveMapping(PRODUCT_COLUMNS.map(column => column.header));
+
+const CATEGORY_COLUMNS = [
+  { header: 'id', value: category => category._id.toString(), width: 26 },
+  { header: 'name', value: category => category.name, width: 30 },
+  { header: 'slug', value: category => category.slug, width: 30 },
+  { header: 'name_ar', value: category => category.translations && category.translations.ar && category.translations.ar.name, width: 30 },
+  { header: 'isActive', value: category => category.isActive, width: 10 },
+  { header: 'productCount', value: category => category.productCount, width: 12 },
+  { header: 'createdAt', value: category => category.createdAt },
+  { header: 'updatedAt', value: category => category.updatedAt }
+];
+
+const exportValidators = [
+  authorize('catalog:export'),
+  query('format').optional().isIn(EXPORT_FORMATS).withMessage('Format must be one of: ' + EXPORT_FORMATS.join(', ')),
+  query('search').optional().isLength({ max: 100 }).withMessage('Search term too long')
+];
+
+const dateStamp = () => new Date().toISOString().slice(0, 10);
+
+// Headers are gone once streaming started, so all we can do is cut the response
+const handleExportError = (res, error, label) => {
+  console.error(`Export ${label} error:`, error);
+
+  if (res.headersSent) {
+    return res.end();
+  }
+
+  res.status(500).json({
+    success: false,
+    message: `Server error while exporting ${label}`
+  });
+};
+
+// @route   GET /api/export/products
+// @desc    Export products as CSV, XLSX or JSON, with the filters and sort of GET /api/products
+// @access  Private (catalog:export)
+router.get('/products', exportValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const sort = parseSort(req.query.sort);
+    if (!sort) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid sort option. Use one of: ' + Object.keys(SORT_FIELDS).join(', ')
+      });
+    }
+
+    let filter;
+    try {
+      filter = buildProductFilter(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const cursor = Product.find(filter)
+      .populate('category', 'name slug')
+      .populate('certifications', 'name')
+      .sort(sort)
+      .lean()
+      .cursor();
+
+    await streamExport(res, {
+      format: req.query.format || 'csv',
+      filename: `products-${dateStamp()}`,
+      sheetName: 'Products',
+      columns: PRODUCT_COLUMNS,
+      cursor
+    });
+
+  } catch (error) {
+    handleExportError(res, error, 'products');
+  }
+});
+
+// @route   GET /api/export/categories
+// @desc    Export categories with product counts as CSV, XLSX or JSON
+// @access  Private (catalog:export)
+router.get('/categories', exportValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { search, isActive } = req.query;
+
+    // Same filters as GET /api/categories
+    const filter = {};
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+    if (search) filter.$text = { $search: search };
+
+    const productCounts = await Product.aggregate([
+      { $group: { _id: '$category', count: { $sum: 1 } } }
+    ]);
+    const countsMap = {};
+    productCounts.forEach(item => {
+      if (item._id) countsMap[item._id.toString()] = item.count;
+    });
+
+    const cursor = Category.find(filter)
+      .sort({ createdAt: -1 })
+      .lean()
+      .cursor({
+        transform: category => ({ ...category, productCount: countsMap[category._id.toString()] || 0 })
+      });
+
+    await streamExport(res, {
+      format: req.query.format || 'csv',
+      filename: `categories-${dateStamp()}`,
+      sheetName: 'Categories',
+      columns: CATEGORY_COLUMNS,
+      cursor
+    });
+
+  } catch (error) {
+    handleExportError(res, error, 'categories');
+  }
+});
+
+// @route   GET /api/export/catalog.pdf
+// @desc    Printable catalog of published products grouped by category in
+//          category order. ?lang= picks the language, ?categories= a list of
+//          category IDs or slugs. Served from a cache until the catalog changes.
+// @access  Private (catalog:export)
+router.get('/catalog.pdf', [
+  authorize('catalog:export'),
+  language,
+  query('categories').optional().isLength({ max: 2000 }).withMessage('Category list too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const categories = req.query.categories
+      ? String(req.query.categories).split(',').map(value => value.trim()).filter(Boolean)
+      : [];
+
+    const file = await getCatalogPdf({ lang: req.language, categories });
+
+    res.setHeader('Content-Disposition', `inline; filename="catalog-${req.language}-${dateStamp()}.pdf"`);
+    res.sendFile(file, (error) => {
+      if (error && !res.headersSent) {
+        console.error('Send catalog error:', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while sending catalog'
+        });
+      }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Generate catalog error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating catalog'
+    });
+  }
+});
+
+module.exports = router;
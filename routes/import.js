@@ -0,0 +1,170 @@
+const express = require('express');
+const multer = require('multer');
+const { authorize } = require('../middleware/auth');
+const { logAuditEntries } = require('../middleware/audit');
+const { detectFormat, readRows } = require('../utils/spreadsheet');
+const { recordRevision } = require('../utils/productRevisions');
+const { IMPORT_FIELDS, MAX_ROWS, resolveMapping, prepareImport, commitImport } = require('../utils/productImport');
+
+const router = express.Router();
+
+// Import files are parsed in memory and never stored
+const uploadImport = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (detectFormat(file)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV or XLSX files are allowed'), false);
+    }
+  }
+});
+
+// @route   GET /api/import/products/fields
+// @desc    List importable product fields and the column headers recognised for them
+// @access  Private (products:write)
+router.get('/products/fields', authorize('products:write'), (req, res) => {
+  res.json({
+    success: true,
+    data: IMPORT_FIELDS,
+    maxRows: MAX_ROWS
+  });
+});
+
+// @route   POST /api/import/products
+// @desc    Import products from a CSV or XLSX file. Runs as a dry run that only
+//          reports per-row errors unless dryRun=false; then all rows are
+//          created in one batch, or none if any row is invalid.
+// @access  Private (products:write)
+router.post('/products', authorize('products:write'), uploadImport.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'A CSV or XLSX file is required'
+      });
+    }
+
+    const dryRun = req.body.dryRun !== 'false' && req.body.dryRun !== false;
+
+    let explicitMapping;
+    if (req.body.mapping) {
+      try {
+        explicitMapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Mapping must be a JSON object of column header to product field'
+        });
+      }
+    }
+
+    let headers, rows;
+    try {
+      ({ headers, rows } = await readRows(req.file.buffer, detectFormat(req.file)));
+    } catch (error) {
+      console.error('Read import file error:', error);
+      return res.status(400).json({
+        success: false,
+        message: 'Could not read the file: ' + error.message
+      });
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The file has no rows to import'
+      });
+    }
+
+    if (rows.length > MAX_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `Files can have at most ${MAX_ROWS} rows`
+      });
+    }
+
+    let mapping, unmapped;
+    try {
+      ({ mapping, unmapped } = resolveMapping(headers, explicitMapping));
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid mapping: ' + error.message
+      });
+    }
+
+    const { report, products, invalid } = await prepareImport(rows, mapping);
+
+    const summary = {
+      totalRows: rows.length,
+      valid: rows.length - invalid,
+      invalid,
+      created: 0
+    };
+
+    const result = {
+      dryRun,
+      mapping,
+      unmappedColumns: unmapped,
+      summary,
+      rows: report
+    };
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        message: invalid === 0 ? 'All rows are valid' : `${invalid} row(s) have errors`,
+        data: result
+      });
+    }
+
+    if (invalid > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${invalid} row(s) have errors, nothing was imported`,
+        data: result
+      });
+    }
+
+    const created = await commitImport(products);
+    summary.created = created.length;
+
+    for (const product of created) {
+      await recordRevision(req, product, null, { action: 'import' });
+    }
+
+    await logAuditEntries(req, created.map(product => ({
+      action: 'import',
+      entityType: 'product',
+      entityId: product._id,
+      entityName: product.name
+    })));
+
+    res.status(201).json({
+      success: true,
+      message: `${created.length} product(s) imported successfully`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Import products error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another product was saved with the same slug during the import, nothing was imported'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while importing products'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,192 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const StockMovement = require('../models/StockMovement');
+const { authorize } = require('../middleware/auth');
+const { recordMovement, findLowStock } = require('../utils/inventory');
+
+const router = express.Router();
+
+const MOVEMENT_TYPES = StockMovement.schema.path('type').enumValues;
+
+// @route   GET /api/inventory/low-stock
+// @desc    List products and variants at or below their low stock threshold
+// @access  Private (inventory:read)
+router.get('/low-stock', authorize('inventory:read'), async (req, res) => {
+  try {
+    const items = await findLowStock({
+      includeOutOfStock: req.query.includeOutOfStock !== 'false'
+    });
+
+    res.json({
+      success: true,
+      data: items,
+      total: items.length
+    });
+
+  } catch (error) {
+    console.error('Get low stock error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching low stock items'
+    });
+  }
+});
+
+// @route   GET /api/inventory/movements
+// @desc    List stock movements with filtering and pagination
+// @access  Private (inventory:read)
+router.get('/movements', [
+  authorize('inventory:read'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('product').optional().isMongoId().withMessage('Invalid product ID'),
+  query('variant').optional().isMongoId().withMessage('Invalid variant ID'),
+  query('type').optional().isIn(MOVEMENT_TYPES).withMessage('Invalid movement type'),
+  query('from').optional().isISO8601().withMessage('from must be a valid date'),
+  query('to').optional().isISO8601().withMessage('to must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const { product, variant, type, from, to } = req.query;
+
+    const filter = {};
+    if (product) filter.product = product;
+    if (variant) filter.variant = variant;
+    if (type) filter.type = type;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const movements = await StockMovement.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('product', 'name')
+      .populate('actor', 'email')
+      .populate('apiKey', 'name prefix');
+
+    const total = await StockMovement.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: movements,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get stock movements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching stock movements'
+    });
+  }
+});
+
+// @route   POST /api/inventory/movements
+// @desc    Record a receipt, adjustment, reservation, release or shipment
+// @access  Private (inventory:write)
+router.post('/movements', [
+  authorize('inventory:write'),
+  body('product')
+    .isMongoId()
+    .withMessage('A valid product ID is required'),
+  body('variant')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid variant ID'),
+  body('type')
+    .isIn(MOVEMENT_TYPES)
+    .withMessage('Type must be one of: ' + MOVEMENT_TYPES.join(', ')),
+  body('quantity')
+    .isFloat()
+    .withMessage('Quantity must be a number')
+    .toFloat(),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  body('reference')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Reference cannot exceed 100 characters'),
+  body('fromReservation')
+    .optional()
+    .isBoolean()
+    .withMessage('fromReservation must be a boolean')
+    .toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { product, variant, type, quantity, reason, reference, fromReservation } = req.body;
+
+    const result = await recordMovement({
+      productId: product,
+      variantId: variant,
+      type,
+      quantity,
+      reason,
+      reference,
+      fromReservation,
+      req
+    });
+
+    const target = variant ? result.product.variants.id(variant) : result.product;
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock movement recorded successfully',
+      data: result.movement,
+      stock: {
+        quantityOnHand: target.quantityOnHand,
+        quantityReserved: target.quantityReserved,
+        quantityAvailable: target.quantityOnHand - target.quantityReserved,
+        stockStatus: target.stockStatus,
+        inStock: result.product.inStock
+      }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Record stock movement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while recording stock movement'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,16 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Message = require('../models/Message');
-const { adminAuth, auth } = require('../middleware/auth');
+const { authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 
 const router = express.Router();
 
 // @route   GET /api/messages
 // @desc    Get all messages with filtering and pagination (Admin only)
-// @access  Private (Admin)
+// @access  Private (messages:read)
 router.get('/', [
-  adminAuth,
+  authorize('messages:read'),
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   query('category').optional().isIn(['general', 'support', 'sales', 'partnership', 'complaint', 'herbs', 'other']).withMessage('Invalid category'),
@@ -80,8 +81,8 @@ router.get('/', [
 
 // @route   GET /api/messages/:id
 // @desc    Get single message (Admin only)
-// @access  Private (Admin)
-router.get('/:id', adminAuth, async (req, res) => {
+// @access  Private (messages:read)
+router.get('/:id', authorize('messages:read'), async (req, res) => {
   try {
     const message = await Message.findById(req.params.id).populate('notes.addedBy', 'email');
     if (!message) return res.status(404).json({ success: false, message: 'Message not found' });
@@ -168,9 +169,10 @@ router.post('/', [
 
 // @route   PUT /api/messages/:id
 // @desc    Update message status (Admin only)
-// @access  Private (Admin)
+// @access  Private (messages:write)
 router.put('/:id', [
-  adminAuth,
+  authorize('messages:write'),
+  audit('message', Message),
   body('isRead').optional().isBoolean().withMessage('isRead must be a boolean'),
   body('replied').optional().isBoolean().withMessage('replied must be a boolean'),
   body('priority').optional().isIn(['low', 'medium', 'high', 'CEO', 'Sales Manager', 'Herbs Priority']).withMessage('Invalid priority'),
@@ -1,45 +1,189 @@
 const express = require('express');
 const Product = require('../models/Product');
 const Category = require('../models/Category');
-const { adminAuth } = require('../middleware/auth');
-const { uploadProduct, deleteImage } = require('../config/cloudinary');
+const { authorize, optionalAuth, hasAccess } = require('../middleware/auth');
+const { audit, logAuditEntries } = require('../middleware/audit');
+const { language } = require('../middleware/language');
+const { FALLBACK_LANGUAGE, getTranslatableFields, localize, parseTranslations, applyTranslations } = require('../utils/i18n');
+const { uploadProduct, deleteImages, PLACEHOLDER_IMAGE } = require('../config/cloudinary');
+const { SORT_FIELDS, parseSort, buildProductFilter } = require('../utils/productFilters');
+const { runBulkAction } = require('../utils/productBulk');
+const { renderSpecSheet } = require('../utils/specSheet');
+const { sendDocument } = require('../utils/pdf');
+const { REVISION_FIELDS, takeSnapshot, recordRevision } = require('../utils/productRevisions');
+const { PRODUCT_STATUSES, PUBLISHING_STATUSES, processSchedules } = require('../utils/publishing');
+const { CERTIFICATE_FIELDS, parseCertifications, flagCertifications } = require('../utils/productCertifications');
+const ProductRevision = require('../models/ProductRevision');
+const Certificate = require('../models/Certificate');
 const mongoose = require('mongoose');
 
 const router = express.Router();
 
+const TRANSLATABLE_FIELDS = getTranslatableFields(Product);
+const CATEGORY_TRANSLATABLE_FIELDS = getTranslatableFields(Category);
+const CERTIFICATE_TRANSLATABLE_FIELDS = getTranslatableFields(Certificate);
+
+// Category and certificates as product responses show them
+const PRODUCT_POPULATE = [
+  { path: 'category', select: 'name slug translations' },
+  { path: 'certifications', select: CERTIFICATE_FIELDS }
+];
+
+// Localize a product along with its populated category and certificates,
+// flagging expired certificates
+const localizeProduct = (product, lang) => {
+  const data = localize(product, TRANSLATABLE_FIELDS, lang);
+  if (data.category && data.category.translations) {
+    data.category = localize(data.category, CATEGORY_TRANSLATABLE_FIELDS, lang);
+  }
+  if (Array.isArray(data.certifications)) {
+    data.certifications = data.certifications.map(certificate => (certificate && certificate.translations
+      ? localize(certificate, CERTIFICATE_TRANSLATABLE_FIELDS, lang)
+      : certificate));
+  }
+  return flagCertifications(data);
+};
+
+// Variants arrive as a JSON string in multipart requests. Stock quantities
+// are dropped: they only change through stock movements.
+const parseVariants = (variants) => {
+  const parsed = typeof variants === 'string' ? JSON.parse(variants) : variants;
+  if (!Array.isArray(parsed) || parsed.some(variant => !variant || typeof variant !== 'object')) {
+    throw new Error('Variants must be an array of objects');
+  }
+  return parsed.map(({ quantityOnHand, quantityReserved, ...variant }) => variant);
+};
+
+// Specifications arrive as a JSON string in multipart requests and replace
+// the whole block; an empty value clears it
+const parseSpecifications = (specifications) => {
+  if (specifications === '' || specifications === null) return undefined;
+  const parsed = typeof specifications === 'string' ? JSON.parse(specifications) : specifications;
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('Specifications must be an object');
+  }
+  return parsed;
+};
+
+const MAX_IMAGES_PER_UPLOAD = 10;
+
+const uploadGallery = uploadProduct.fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'images', maxCount: MAX_IMAGES_PER_UPLOAD }
+]);
+
+// Alt texts for uploaded images: a JSON array in upload order or one string for all
+const parseAlts = (alt, count) => {
+  if (alt === undefined || alt === '') return [];
+  let parsed = alt;
+  if (typeof alt === 'string' && alt.trim().startsWith('[')) {
+    parsed = JSON.parse(alt);
+  }
+  return Array.isArray(parsed) ? parsed : Array(count).fill(parsed);
+};
+
+// Carry stock over to replacement variants that keep an existing _id
+const keepVariantStock = (existing, variants) => {
+  return variants.map(variant => {
+    const current = variant._id && existing.id(variant._id);
+    if (!current) return variant;
+    return {
+      ...variant,
+      quantityOnHand: current.quantityOnHand,
+      quantityReserved: current.quantityReserved
+    };
+  });
+};
+
+// Status and schedule changes from a create or update request. Publishing,
+// archiving, unpublishing and scheduling need products:publish; without it
+// products can only move between draft and in review.
+const parsePublishing = (req, currentStatus) => {
+  const { status } = req.body;
+  const updates = {};
+
+  if (status !== undefined) {
+    if (!PRODUCT_STATUSES.includes(status)) {
+      throw Object.assign(new Error('Status must be one of: ' + PRODUCT_STATUSES.join(', ')), { status: 400 });
+    }
+    updates.status = status;
+  }
+
+  // Empty values clear a schedule
+  ['publishAt', 'unpublishAt'].forEach(field => {
+    const value = req.body[field];
+    if (value === undefined) return;
+    if (value === '' || value === null) {
+      updates[field] = undefined;
+      return;
+    }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw Object.assign(new Error(`${field} must be a valid date`), { status: 400 });
+    }
+    updates[field] = date;
+  });
+
+  const statusChanged = updates.status !== undefined && updates.status !== currentStatus;
+  const needsPublish = (statusChanged && (PUBLISHING_STATUSES.includes(updates.status) || PUBLISHING_STATUSES.includes(currentStatus))) ||
+    'publishAt' in updates || 'unpublishAt' in updates;
+
+  if (needsPublish && !hasAccess(req, 'products:publish')) {
+    throw Object.assign(new Error('Access denied. Publishing and scheduling need the products:publish permission.'), { status: 403 });
+  }
+
+  return updates;
+};
+
+// Message for a duplicate slug or SKU. Products in the trash keep theirs
+// until they are purged, which is worth pointing out.
+const describeDuplicate = async (error) => {
+  const message = error.keyPattern && error.keyPattern.slug ? 'Product slug already exists' : 'Variant SKU already exists';
+  const inTrash = error.keyValue && await Product.exists(error.keyValue).onlyDeleted();
+  return inTrash
+    ? `${message} on a product in the trash; restore or permanently delete it first`
+    : message;
+};
+
+// Staff who can edit products also see unpublished ones on the public routes
+const canSeeUnpublished = (req) => hasAccess(req, 'products:write');
+
 // @route   GET /api/products
-// @desc    Get all products with filtering and pagination
+// @desc    Get all products with filtering and pagination. The public only
+//          sees published products; staff see every status unless filtered.
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', optionalAuth, language, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 100;
     const skip = (page - 1) * limit;
-    const { category, search, featured, inStock } = req.query;
 
-    // Build filter object
-    let filter = {};
-    
-    if (category && mongoose.Types.ObjectId.isValid(category)) {
-      filter.category = category;
-    }
-    
-    if (featured !== undefined) {
-      filter.featured = featured === 'true';
+    const sort = parseSort(req.query.sort);
+    if (!sort) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid sort option. Use one of: ' + Object.keys(SORT_FIELDS).join(', ')
+      });
     }
-    
-    if (inStock !== undefined) {
-      filter.inStock = inStock === 'true';
+
+    let filter;
+    try {
+      filter = buildProductFilter(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
     }
-    
-    if (search) {
-      filter.$text = { $search: search };
+
+    if (!canSeeUnpublished(req)) {
+      filter.status = 'published';
     }
 
     // Get products with pagination and populate category
     const products = await Product.find(filter)
-      .populate('category', 'name slug')
-      .sort({ createdAt: -1 })
+      .populate(PRODUCT_POPULATE)
+      .sort(sort)
       .skip(skip)
       .limit(limit);
 
@@ -48,7 +192,7 @@ router.get('/', async (req, res) => {
 
     res.json({
       success: true,
-      data: products,
+      data: products.map(product => localizeProduct(product, req.language)),
       pagination: {
         current: page,
         pages: Math.ceil(total / limit),
@@ -66,12 +210,68 @@ router.get('/', async (req, res) => {
   }
 });
 
+// SEO metadata for a localized product, falling back to its content
+const buildSeoMeta = (product) => ({
+  title: product.metaTitle || product.name,
+  description: product.metaDescription || (product.description || '').slice(0, 160),
+  ogImage: product.ogImage || product.image,
+  slug: product.slug
+});
+
+// @route   GET /api/products/slug/:slug
+// @desc    Get single product by slug; old slugs redirect to the current one
+// @access  Public (unpublished products for staff only)
+router.get('/slug/:slug', optionalAuth, language, async (req, res) => {
+  try {
+    const slug = req.params.slug.toLowerCase();
+    const visible = canSeeUnpublished(req) ? {} : { status: 'published' };
+    const product = await Product.findOne({ slug, ...visible }).populate(PRODUCT_POPULATE);
+
+    if (!product) {
+      const renamed = await Product.findOne({ previousSlugs: slug, ...visible }).select('slug');
+
+      if (renamed) {
+        const location = `${req.baseUrl}/slug/${renamed.slug}`;
+        return res.status(301).location(location).json({
+          success: true,
+          message: 'Product has moved',
+          redirect: {
+            slug: renamed.slug,
+            location
+          }
+        });
+      }
+
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const data = localizeProduct(product, req.language);
+
+    res.json({
+      success: true,
+      data,
+      meta: buildSeoMeta(data)
+    });
+
+  } catch (error) {
+    console.error('Get product by slug error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching product'
+    });
+  }
+});
+
 // @route   GET /api/products/:id
 // @desc    Get single product
-// @access  Public
-router.get('/:id', async (req, res) => {
+// @access  Public (unpublished products for staff only)
+router.get('/:id', optionalAuth, language, async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id).populate('category', 'name slug');
+    const visible = canSeeUnpublished(req) ? {} : { status: 'published' };
+    const product = await Product.findOne({ _id: req.params.id, ...visible }).populate(PRODUCT_POPULATE);
     
     if (!product) {
       return res.status(404).json({
@@ -80,9 +280,12 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    const data = localizeProduct(product, req.language);
+
     res.json({
       success: true,
-      data: product
+      data,
+      meta: buildSeoMeta(data)
     });
 
   } catch (error) {
@@ -102,15 +305,73 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// @route   GET /api/products/:id/spec-sheet.pdf
+// @desc    Download a product's specification sheet as PDF
+// @access  Public (unpublished products for staff only)
+router.get('/:id/spec-sheet.pdf', optionalAuth, async (req, res) => {
+  try {
+    const visible = canSeeUnpublished(req) ? {} : { status: 'published' };
+    const product = await Product.findOne({ _id: req.params.id, ...visible })
+      .populate('category', 'name')
+      .populate('certifications', CERTIFICATE_FIELDS);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const doc = await renderSpecSheet(product);
+    sendDocument(res, doc, `${product.slug || product._id}-spec-sheet`);
+
+  } catch (error) {
+    console.error('Generate spec sheet error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating spec sheet'
+    });
+  }
+});
+
 // @route   POST /api/products
 // @desc    Create new product
-// @access  Private (Admin)
-router.post('/', adminAuth, uploadProduct.single('image'), async (req, res) => {
+// @access  Private (products:write)
+router.post('/', authorize('products:write'), audit('product', Product), uploadGallery, async (req, res) => {
   try {
     console.log('POST /products - Request body:', req.body);
-    console.log('POST /products - Request file:', req.file);
+    console.log('POST /products - Request files:', req.files);
     
-    const { name, description, category, price, tags, origin, certifications } = req.body;
+    const { name, slug, description, category, price, tags, origin, certifications, lowStockThreshold, onRequest, variants, specifications, metaTitle, metaDescription, ogImage } = req.body;
+
+    let translations;
+    try {
+      translations = parseTranslations(req.body.translations, TRANSLATABLE_FIELDS);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid translations: ' + error.message
+      });
+    }
+
+    // New products start as drafts unless a status is given
+    let publishing;
+    try {
+      publishing = parsePublishing(req, 'draft');
+    } catch (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
     
     // Basic validation
     if (!name || !description || !category) {
@@ -151,49 +412,94 @@ router.post('/', adminAuth, uploadProduct.single('image'), async (req, res) => {
       });
     }
 
-    // Check if image was uploaded
-    let imageUrl, imagePublicId;
-    
-    console.log('File upload check - req.file:', req.file);
-    
-    if (req.file) {
-      imageUrl = req.file.path;
-      imagePublicId = req.file.filename;
-      console.log('Using uploaded file:', imageUrl);
-    } else {
+    // Gallery from the uploaded files; a single 'image' upload becomes the primary image
+    const files = [...((req.files && req.files.image) || []), ...((req.files && req.files.images) || [])];
+    let alts;
+    try {
+      alts = parseAlts(req.body.alt, files.length);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid alt text: ' + error.message
+      });
+    }
+
+    const images = files.map((file, index) => ({
+      url: file.path,
+      publicId: file.filename,
+      alt: alts[index]
+    }));
+
+    if (images.length === 0) {
       console.log('No image provided - using placeholder');
-      imageUrl = 'https://via.placeholder.com/300x300?text=No+Image';
-      imagePublicId = null;
     }
 
     const productData = {
       name,
       description,
       category,
-      image: imageUrl,
-      imagePublicId
+      image: images.length > 0 ? images[0].url : PLACEHOLDER_IMAGE,
+      images,
+      ...publishing
     };
 
     // Add optional fields
     if (price) productData.price = price;
     if (tags) productData.tags = Array.isArray(tags) ? tags : tags.split(',').map(tag => tag.trim());
     if (origin) productData.origin = origin;
-    if (certifications) productData.certifications = Array.isArray(certifications) ? certifications : certifications.split(',').map(cert => cert.trim());
+    if (slug) productData.slug = slug;
+    if (metaTitle) productData.metaTitle = metaTitle;
+    if (metaDescription) productData.metaDescription = metaDescription;
+    if (ogImage) productData.ogImage = ogImage;
+    if (certifications) {
+      try {
+        productData.certifications = await parseCertifications(certifications);
+      } catch (error) {
+        return res.status(error.status || 400).json({
+          success: false,
+          message: 'Invalid certifications: ' + error.message
+        });
+      }
+    }
+    if (lowStockThreshold !== undefined && lowStockThreshold !== '') productData.lowStockThreshold = lowStockThreshold;
+    if (onRequest === true || onRequest === 'true') productData.stockStatus = 'on_request';
+    if (variants) {
+      try {
+        productData.variants = parseVariants(variants);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid variants: ' + error.message
+        });
+      }
+    }
+    if (specifications) {
+      try {
+        productData.specifications = parseSpecifications(specifications);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid specifications: ' + error.message
+        });
+      }
+    }
 
     console.log('Creating product with data:', productData);
     
     const product = new Product(productData);
+    applyTranslations(product, translations);
     await product.save();
+    await recordRevision(req, product, null, { action: 'create' });
 
-    // Populate the category before sending response
-    await product.populate('category', 'name slug');
+    // Populate the category and certificates before sending response
+    await product.populate(PRODUCT_POPULATE);
 
     console.log('Product created successfully:', product);
 
     res.status(201).json({
       success: true,
       message: 'Product created successfully',
-      data: product
+      data: localizeProduct(product, FALLBACK_LANGUAGE)
     });
 
   } catch (error) {
@@ -207,6 +513,13 @@ router.post('/', adminAuth, uploadProduct.single('image'), async (req, res) => {
       });
     }
 
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: await describeDuplicate(error)
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error while creating product: ' + error.message
@@ -214,10 +527,91 @@ router.post('/', adminAuth, uploadProduct.single('image'), async (req, res) => {
   }
 });
 
+// @route   POST /api/products/bulk
+// @desc    Apply one action (set, addTags, removeTags, changeCategory, delete)
+//          to products picked by ids or by a GET /api/products style filter
+// @access  Private (products:write, and products:delete for deletes)
+router.post('/bulk', authorize('products:write'), async (req, res) => {
+  try {
+    const { action, ids, filter, fields, tags, category } = req.body;
+
+    if (action === 'delete' && !hasAccess(req, 'products:delete')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Insufficient permissions.',
+        required: ['products:delete']
+      });
+    }
+
+    if (ids && filter) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide either ids or a filter, not both'
+      });
+    }
+
+    const { summary, results } = await runBulkAction(req, { action, ids, filter, fields, tags, category });
+
+    res.json({
+      success: summary.failed === 0,
+      message: `Bulk ${action} finished: ${summary.updated + summary.deleted} changed, ${summary.unchanged} unchanged, ${summary.notFound} not found, ${summary.failed} failed`,
+      data: {
+        action,
+        summary,
+        results
+      }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Bulk product action error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while running bulk action'
+    });
+  }
+});
+
+// @route   POST /api/products/publishing/run
+// @desc    Apply scheduled publish and unpublish dates that have passed. Runs
+//          every minute on the server; serverless deployments can call this
+//          from a cron job.
+// @access  Private (products:publish)
+router.post('/publishing/run', authorize('products:publish'), async (req, res) => {
+  try {
+    const entries = await processSchedules();
+    await logAuditEntries(req, entries);
+
+    res.json({
+      success: true,
+      message: `${entries.length} scheduled change(s) applied`,
+      data: entries.map(({ action, entityId, entityName }) => ({ action, id: entityId, name: entityName }))
+    });
+
+  } catch (error) {
+    console.error('Run scheduled publishing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while applying scheduled publishing'
+    });
+  }
+});
+
 // @route   PUT /api/products/:id
 // @desc    Update product
-// @access  Private (Admin)
-router.put('/:id', adminAuth, uploadProduct.single('image'), async (req, res) => {
+// @access  Private (products:write)
+router.put('/:id', authorize('products:write'), audit('product', Product), uploadProduct.single('image'), async (req, res) => {
+  // The uploaded image is removed again unless the product is saved with it;
+  // the image it replaces is only removed once the save succeeded
+  let saved = false;
+  let replacedImage;
+
   try {
     const product = await Product.findById(req.params.id);
     
@@ -228,7 +622,65 @@ router.put('/:id', adminAuth, uploadProduct.single('image'), async (req, res) =>
       });
     }
 
-    const { name, description, category, price, tags, origin, certifications, featured, inStock } = req.body;
+    const before = takeSnapshot(product);
+    const { name, slug, description, category, price, tags, origin, certifications, featured, lowStockThreshold, onRequest, variants, specifications, metaTitle, metaDescription, ogImage } = req.body;
+
+    let translations;
+    try {
+      translations = parseTranslations(req.body.translations, TRANSLATABLE_FIELDS);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid translations: ' + error.message
+      });
+    }
+
+    let publishing;
+    try {
+      publishing = parsePublishing(req, product.status);
+    } catch (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    let parsedVariants;
+    if (variants !== undefined) {
+      try {
+        parsedVariants = parseVariants(variants);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid variants: ' + error.message
+        });
+      }
+    }
+
+    let parsedSpecifications;
+    if (specifications !== undefined) {
+      try {
+        parsedSpecifications = parseSpecifications(specifications);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid specifications: ' + error.message
+        });
+      }
+    }
+
+    // An empty value removes all certifications
+    let parsedCertifications;
+    if (certifications !== undefined) {
+      try {
+        parsedCertifications = await parseCertifications(certifications);
+      } catch (error) {
+        return res.status(error.status || 400).json({
+          success: false,
+          message: 'Invalid certifications: ' + error.message
+        });
+      }
+    }
 
     // Validate category exists if provided
     if (category) {
@@ -248,19 +700,17 @@ router.put('/:id', adminAuth, uploadProduct.single('image'), async (req, res) =>
       }
     }
 
-    // Handle image update
+    // Handle image update: an uploaded image replaces the primary image
     if (req.file) {
-      // Delete old image if it exists and was uploaded to Cloudinary
-      if (product.imagePublicId) {
-        try {
-          await deleteImage(product.imagePublicId);
-        } catch (error) {
-          console.error('Error deleting old image:', error);
-        }
+      const primary = product.images.find(image => image.isPrimary);
+      replacedImage = primary ? primary.publicId : product.imagePublicId;
+
+      if (primary) {
+        primary.url = req.file.path;
+        primary.publicId = req.file.filename;
+      } else {
+        product.images.push({ url: req.file.path, publicId: req.file.filename, isPrimary: true });
       }
-      
-      product.image = req.file.path;
-      product.imagePublicId = req.file.filename;
     }
 
     // Update fields
@@ -269,20 +719,41 @@ router.put('/:id', adminAuth, uploadProduct.single('image'), async (req, res) =>
     if (category) product.category = category;
     if (price !== undefined) product.price = price;
     if (featured !== undefined) product.featured = featured === 'true';
-    if (inStock !== undefined) product.inStock = inStock === 'true';
+    if (lowStockThreshold !== undefined) {
+      product.lowStockThreshold = lowStockThreshold === '' || lowStockThreshold === null ? undefined : lowStockThreshold;
+    }
+    // Stock status is derived from quantities unless sold on request
+    if (onRequest !== undefined) {
+      product.stockStatus = onRequest === true || onRequest === 'true' ? 'on_request' : undefined;
+    }
     if (tags) product.tags = Array.isArray(tags) ? tags : tags.split(',').map(tag => tag.trim());
     if (origin) product.origin = origin;
-    if (certifications) product.certifications = Array.isArray(certifications) ? certifications : certifications.split(',').map(cert => cert.trim());
+    // An empty slug regenerates it from the name
+    if (slug !== undefined) product.slug = slug;
+    if (metaTitle !== undefined) product.metaTitle = metaTitle || undefined;
+    if (metaDescription !== undefined) product.metaDescription = metaDescription || undefined;
+    if (ogImage !== undefined) product.ogImage = ogImage || undefined;
+    if (parsedCertifications) product.certifications = parsedCertifications;
+    // Variants are replaced as a whole; send _id with existing ones to keep them
+    if (parsedVariants) product.variants = keepVariantStock(product.variants, parsedVariants);
+    if (specifications !== undefined) product.specifications = parsedSpecifications;
+    Object.entries(publishing).forEach(([field, value]) => {
+      product[field] = value;
+    });
+    applyTranslations(product, translations);
 
     await product.save();
+    saved = true;
+    await deleteImages([replacedImage]);
+    await recordRevision(req, product, before);
 
-    // Populate category
-    await product.populate('category', 'name slug');
+    // Populate category and certificates
+    await product.populate(PRODUCT_POPULATE);
 
     res.json({
       success: true,
       message: 'Product updated successfully',
-      data: product
+      data: localizeProduct(product, FALLBACK_LANGUAGE)
     });
 
   } catch (error) {
@@ -303,41 +774,484 @@ router.put('/:id', adminAuth, uploadProduct.single('image'), async (req, res) =>
       });
     }
 
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: await describeDuplicate(error)
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error while updating product'
     });
+  } finally {
+    if (!saved && req.file) {
+      await deleteImages([req.file.filename]);
+    }
   }
 });
 
-// @route   DELETE /api/products/:id
-// @desc    Delete product
-// @access  Private (Admin)
-router.delete('/:id', adminAuth, async (req, res) => {
+// @route   POST /api/products/:id/images
+// @desc    Add images to the end of a product's gallery
+// @access  Private (products:write)
+router.post('/:id/images', authorize('products:write'), audit('product', Product), uploadProduct.array('images', MAX_IMAGES_PER_UPLOAD), async (req, res) => {
+  const files = req.files || [];
+
   try {
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one image is required'
+      });
+    }
+
     const product = await Product.findById(req.params.id);
-    
+
     if (!product) {
+      await deleteImages(files.map(file => file.filename));
       return res.status(404).json({
         success: false,
         message: 'Product not found'
       });
     }
 
-    // Delete image from Cloudinary if it exists
-    if (product.imagePublicId) {
-      try {
-        await deleteImage(product.imagePublicId);
-      } catch (error) {
-        console.error('Error deleting image:', error);
-      }
+    const alts = parseAlts(req.body.alt, files.length);
+    const makePrimary = req.body.isPrimary === 'true' || req.body.isPrimary === true;
+
+    // Products still on the placeholder get their first real image as primary
+    const hasRealImage = product.images.length > 0 || Boolean(product.imagePublicId);
+
+    files.forEach((file, index) => {
+      product.images.push({
+        url: file.path,
+        publicId: file.filename,
+        alt: alts[index],
+        isPrimary: index === 0 && (makePrimary || !hasRealImage)
+      });
+    });
+
+    if (makePrimary) {
+      const newPrimary = product.images[product.images.length - files.length];
+      product.images.forEach(image => {
+        image.isPrimary = image === newPrimary;
+      });
+    }
+
+    await product.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Images added successfully',
+      data: product.images
+    });
+
+  } catch (error) {
+    console.error('Add product images error:', error);
+    await deleteImages(files.map(file => file.filename));
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    if (error instanceof SyntaxError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid alt text: ' + error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding images'
+    });
+  }
+});
+
+// @route   PUT /api/products/:id/images/order
+// @desc    Reorder a product's gallery
+// @access  Private (products:write)
+router.put('/:id/images/order', authorize('products:write'), audit('product', Product), async (req, res) => {
+  try {
+    const { order } = req.body;
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const currentIds = product.images.map(image => image._id.toString());
+    const isPermutation = Array.isArray(order) &&
+      order.length === currentIds.length &&
+      new Set(order.map(String)).size === order.length &&
+      order.every(id => currentIds.includes(String(id)));
+
+    if (!isPermutation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order must list every image ID of the product exactly once'
+      });
+    }
+
+    product.images = order.map(id => product.images.id(id));
+    await product.save();
+
+    res.json({
+      success: true,
+      message: 'Images reordered successfully',
+      data: product.images
+    });
+
+  } catch (error) {
+    console.error('Reorder product images error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reordering images'
+    });
+  }
+});
+
+// @route   PUT /api/products/:id/images/:imageId
+// @desc    Update an image's alt text or make it the primary image
+// @access  Private (products:write)
+router.put('/:id/images/:imageId', authorize('products:write'), audit('product', Product), async (req, res) => {
+  try {
+    const { alt, isPrimary } = req.body;
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const image = product.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found'
+      });
+    }
+
+    if (alt !== undefined) image.alt = alt;
+    if (isPrimary === true || isPrimary === 'true') {
+      product.images.forEach(other => {
+        other.isPrimary = other === image;
+      });
+    }
+
+    await product.save();
+
+    res.json({
+      success: true,
+      message: 'Image updated successfully',
+      data: product.images
+    });
+
+  } catch (error) {
+    console.error('Update product image error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product or image ID'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating image'
+    });
+  }
+});
+
+// @route   DELETE /api/products/:id/images/:imageId
+// @desc    Remove an image from a product's gallery
+// @access  Private (products:write)
+router.delete('/:id/images/:imageId', authorize('products:write'), audit('product', Product), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const image = product.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found'
+      });
+    }
+
+    product.images.pull(image._id);
+
+    // Without images the product falls back to the placeholder
+    if (product.images.length === 0) {
+      product.image = PLACEHOLDER_IMAGE;
+      product.imagePublicId = undefined;
+    }
+
+    await product.save();
+    await deleteImages([image.publicId]);
+
+    res.json({
+      success: true,
+      message: 'Image deleted successfully',
+      data: product.images
+    });
+
+  } catch (error) {
+    console.error('Delete product image error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product or image ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting image'
+    });
+  }
+});
+
+// @route   GET /api/products/:id/revisions
+// @desc    List a product's revisions, newest first, with author and changes
+// @access  Private (products:write)
+router.get('/:id/revisions', authorize('products:write'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const revisions = await ProductRevision.find({ product: req.params.id })
+      .select('-snapshot')
+      .sort({ revision: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('author', 'email role')
+      .populate('apiKey', 'name prefix');
+
+    const total = await ProductRevision.countDocuments({ product: req.params.id });
+
+    res.json({
+      success: true,
+      data: revisions,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get product revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching revisions'
+    });
+  }
+});
+
+// @route   GET /api/products/:id/revisions/:revision
+// @desc    Get one revision of a product with its full snapshot
+// @access  Private (products:write)
+router.get('/:id/revisions/:revision', authorize('products:write'), async (req, res) => {
+  try {
+    const revision = await ProductRevision.findOne({
+      product: req.params.id,
+      revision: parseInt(req.params.revision)
+    })
+      .populate('author', 'email role')
+      .populate('apiKey', 'name prefix');
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: revision
+    });
+
+  } catch (error) {
+    console.error('Get product revision error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID or revision number'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching revision'
+    });
+  }
+});
+
+// @route   POST /api/products/:id/revisions/:revision/restore
+// @desc    Restore a product's content to a previous revision. Images and stock
+//          are left as they are; the restore is stored as a new revision.
+// @access  Private (products:write)
+router.post('/:id/revisions/:revision/restore', authorize('products:write'), audit('product', Product, { action: 'restore_revision' }), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const revision = await ProductRevision.findOne({
+      product: product._id,
+      revision: parseInt(req.params.revision)
+    });
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    const { snapshot } = revision;
+
+    if (snapshot.category && !(await Category.exists({ _id: snapshot.category }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'The category of this revision no longer exists'
+      });
+    }
+
+    const before = takeSnapshot(product);
+
+    REVISION_FIELDS.forEach(field => {
+      if (field === 'variants' || field === 'certifications') return;
+      product[field] = snapshot[field];
+    });
+    // Variants that still exist keep their current stock
+    product.variants = keepVariantStock(product.variants, snapshot.variants || []);
+    // Certificates deleted since the revision are left out, as are the
+    // free-text certifications stored by older revisions
+    const cited = (snapshot.certifications || []).map(String).filter(id => /^[a-f0-9]{24}$/i.test(id));
+    const existing = await Certificate.find({ _id: { $in: cited } }).distinct('_id');
+    product.certifications = cited.filter(id => existing.some(existingId => existingId.equals(id)));
+
+    await product.save();
+    await recordRevision(req, product, before, { action: 'restore', restoredFrom: revision.revision });
+
+    await product.populate(PRODUCT_POPULATE);
+
+    res.json({
+      success: true,
+      message: `Product restored to revision ${revision.revision}`,
+      data: localizeProduct(product, FALLBACK_LANGUAGE)
+    });
+
+  } catch (error) {
+    console.error('Restore product revision error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID or revision number'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: await describeDuplicate(error)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while restoring revision'
+    });
+  }
+});
+
+// @route   DELETE /api/products/:id
+// @desc    Move product to the trash
+// @access  Private (products:delete)
+router.delete('/:id', authorize('products:delete'), audit('product', Product), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
     }
 
-    await Product.findByIdAndDelete(req.params.id);
+    // Images stay on Cloudinary until the product is purged from the trash
+    await product.softDelete(req.user._id);
 
     res.json({
       success: true,
-      message: 'Product deleted successfully'
+      message: 'Product moved to trash'
     });
 
   } catch (error) {
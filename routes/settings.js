@@ -0,0 +1,76 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Setting = require('../models/Setting');
+const { authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+
+const router = express.Router();
+
+// @route   GET /api/settings
+// @desc    Get organisation settings
+// @access  Private (settings:manage)
+router.get('/', authorize('settings:manage'), async (req, res) => {
+  try {
+    const settings = await Setting.getSettings();
+
+    res.json({
+      success: true,
+      data: settings
+    });
+
+  } catch (error) {
+    console.error('Get settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching settings'
+    });
+  }
+});
+
+// @route   PUT /api/settings
+// @desc    Update organisation settings
+// @access  Private (settings:manage)
+router.put('/', [
+  authorize('settings:manage'),
+  audit('setting', Setting, { getEntityId: async () => (await Setting.getSettings())._id }),
+  body('requireTwoFactor')
+    .optional()
+    .isBoolean()
+    .withMessage('requireTwoFactor must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const settings = await Setting.getSettings();
+    const { requireTwoFactor } = req.body;
+
+    if (requireTwoFactor !== undefined) {
+      settings.requireTwoFactor = requireTwoFactor === true || requireTwoFactor === 'true';
+    }
+    settings.updatedBy = req.user._id;
+
+    await settings.save();
+
+    res.json({
+      success: true,
+      message: 'Settings updated successfully',
+      data: settings
+    });
+
+  } catch (error) {
+    console.error('Update settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating settings'
+    });
+  }
+});
+
+module.exports = router;
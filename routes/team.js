@@ -1,15 +1,21 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const TeamMember = require('../models/TeamMember');
-const { adminAuth } = require('../middleware/auth');
+const { authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { language } = require('../middleware/language');
+const { getTranslatableFields, localize, parseTranslations, applyTranslations } = require('../utils/i18n');
 const { uploadTeam, deleteImage, extractPublicId } = require('../config/cloudinary');
 
 const router = express.Router();
 
+const TRANSLATABLE_FIELDS = getTranslatableFields(TeamMember);
+
 // @route   GET /api/team
 // @desc    Get all team members with filtering and pagination
 // @access  Public
 router.get('/', [
+  language,
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   query('department').optional().isLength({ max: 50 }).withMessage('Department filter too long'),
@@ -56,7 +62,7 @@ router.get('/', [
 
     res.json({
       success: true,
-      data: teamMembers,
+      data: teamMembers.map(teamMember => localize(teamMember, TRANSLATABLE_FIELDS, req.language)),
       pagination: {
         current: page,
         pages: Math.ceil(total / limit),
@@ -77,7 +83,7 @@ router.get('/', [
 // @route   GET /api/team/:id
 // @desc    Get single team member
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', language, async (req, res) => {
   try {
     const teamMember = await TeamMember.findById(req.params.id);
     
@@ -90,7 +96,7 @@ router.get('/:id', async (req, res) => {
 
     res.json({
       success: true,
-      data: teamMember
+      data: localize(teamMember, TRANSLATABLE_FIELDS, req.language)
     });
 
   } catch (error) {
@@ -112,9 +118,10 @@ router.get('/:id', async (req, res) => {
 
 // @route   POST /api/team
 // @desc    Create new team member
-// @access  Private (Admin)
+// @access  Private (team:write)
 router.post('/', [
-  adminAuth,
+  authorize('team:write'),
+  audit('team_member', TeamMember),
   uploadTeam.single('image'),
   body('name')
     .trim()
@@ -159,12 +166,24 @@ router.post('/', [
 
     const { name, position, email, phone, whatsapp, bio, department, skills, languages, socialLinks } = req.body;
 
-    // Check if email already exists
-    const existingMember = await TeamMember.findOne({ email });
+    let translations;
+    try {
+      translations = parseTranslations(req.body.translations, TRANSLATABLE_FIELDS);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid translations: ' + error.message
+      });
+    }
+
+    // Check if email already exists, including members in the trash
+    const existingMember = await TeamMember.findOne({ email }).withDeleted();
     if (existingMember) {
       return res.status(400).json({
         success: false,
-        message: 'Email already exists'
+        message: existingMember.deletedAt
+          ? 'A team member with this email is in the trash. Restore it instead'
+          : 'Email already exists'
       });
     }
 
@@ -201,6 +220,7 @@ router.post('/', [
     if (socialLinks) teamMemberData.socialLinks = socialLinks;
 
     const teamMember = new TeamMember(teamMemberData);
+    applyTranslations(teamMember, translations);
     await teamMember.save();
 
     res.status(201).json({
@@ -236,9 +256,10 @@ router.post('/', [
 
 // @route   PUT /api/team/:id
 // @desc    Update team member
-// @access  Private (Admin)
+// @access  Private (team:write)
 router.put('/:id', [
-  adminAuth,
+  authorize('team:write'),
+  audit('team_member', TeamMember),
   uploadTeam.single('image'),
   body('name')
     .optional()
@@ -297,13 +318,25 @@ router.put('/:id', [
 
     const { name, position, email, phone, whatsapp, bio, department, skills, languages, socialLinks, isActive } = req.body;
 
+    let translations;
+    try {
+      translations = parseTranslations(req.body.translations, TRANSLATABLE_FIELDS);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid translations: ' + error.message
+      });
+    }
+
     // Check if email already exists (excluding current member)
     if (email && email !== teamMember.email) {
-      const existingMember = await TeamMember.findOne({ email, _id: { $ne: req.params.id } });
+      const existingMember = await TeamMember.findOne({ email, _id: { $ne: req.params.id } }).withDeleted();
       if (existingMember) {
         return res.status(400).json({
           success: false,
-          message: 'Email already exists'
+          message: existingMember.deletedAt
+            ? 'A team member with this email is in the trash'
+            : 'Email already exists'
         });
       }
     }
@@ -348,6 +381,8 @@ router.put('/:id', [
     if (languages) teamMember.languages = Array.isArray(languages) ? languages : languages.split(',').map(lang => lang.trim());
     if (socialLinks) teamMember.socialLinks = socialLinks;
 
+    applyTranslations(teamMember, translations);
+
     await teamMember.save();
 
     res.json({
@@ -389,9 +424,9 @@ router.put('/:id', [
 });
 
 // @route   DELETE /api/team/:id
-// @desc    Delete team member
-// @access  Private (Admin)
-router.delete('/:id', adminAuth, async (req, res) => {
+// @desc    Move team member to the trash
+// @access  Private (team:delete)
+router.delete('/:id', authorize('team:delete'), audit('team_member', TeamMember), async (req, res) => {
   try {
     const teamMember = await TeamMember.findById(req.params.id);
     
@@ -402,20 +437,12 @@ router.delete('/:id', adminAuth, async (req, res) => {
       });
     }
 
-    // Delete image from Cloudinary if it exists
-    if (teamMember.imagePublicId) {
-      try {
-        await deleteImage(teamMember.imagePublicId);
-      } catch (error) {
-        console.error('Error deleting image:', error);
-      }
-    }
-
-    await TeamMember.findByIdAndDelete(req.params.id);
+    // The image stays on Cloudinary until the member is purged from the trash
+    await teamMember.softDelete(req.user._id);
 
     res.json({
       success: true,
-      message: 'Team member deleted successfully'
+      message: 'Team member moved to trash'
     });
 
   } catch (error) {
@@ -0,0 +1,207 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { query, validationResult } = require('express-validator');
+const { authorize, hasAccess } = require('../middleware/auth');
+const { logAuditEntries } = require('../middleware/audit');
+const { TRASH_RETENTION_DAYS, TRASH_TYPES, getPurgeDate, purgeItem, purgeExpired } = require('../utils/trash');
+
+const router = express.Router();
+
+// Check the type and the caller's delete permission for it, and load the
+// trashed document into req.trashItem
+const loadTrashItem = async (req, res, next) => {
+  try {
+    const trashType = TRASH_TYPES[req.params.type];
+    if (!trashType) {
+      return res.status(400).json({
+        success: false,
+        message: 'Type must be one of: ' + Object.keys(TRASH_TYPES).join(', ')
+      });
+    }
+
+    if (!hasAccess(req, trashType.permission)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Insufficient permissions.',
+        required: [trashType.permission]
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID'
+      });
+    }
+
+    const doc = await trashType.Model.findById(req.params.id).onlyDeleted();
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        message: `${trashType.label} not found in the trash`
+      });
+    }
+
+    req.trashType = trashType;
+    req.trashItem = doc;
+    next();
+
+  } catch (error) {
+    console.error('Load trash item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while loading trash item'
+    });
+  }
+};
+
+// @route   GET /api/trash
+// @desc    List trashed products, certificates and team members the caller
+//          can delete, newest first, with the date each will be purged
+// @access  Private (products:delete, certificates:delete or team:delete)
+router.get('/', [
+  authorize(),
+  query('type').optional().isIn(Object.keys(TRASH_TYPES)).withMessage('Type must be one of: ' + Object.keys(TRASH_TYPES).join(', '))
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const types = Object.keys(TRASH_TYPES)
+      .filter(type => !req.query.type || type === req.query.type)
+      .filter(type => hasAccess(req, TRASH_TYPES[type].permission));
+
+    if (types.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Insufficient permissions.',
+        required: Object.values(TRASH_TYPES).map(trashType => trashType.permission)
+      });
+    }
+
+    const items = [];
+    for (const type of types) {
+      const docs = await TRASH_TYPES[type].Model.find()
+        .onlyDeleted()
+        .select('name deletedAt deletedBy')
+        .populate('deletedBy', 'email role')
+        .lean();
+
+      docs.forEach(doc => items.push({
+        type,
+        id: doc._id,
+        name: doc.name,
+        deletedAt: doc.deletedAt,
+        deletedBy: doc.deletedBy,
+        purgeAt: getPurgeDate(doc.deletedAt)
+      }));
+    }
+
+    items.sort((a, b) => b.deletedAt - a.deletedAt);
+
+    res.json({
+      success: true,
+      data: items,
+      total: items.length,
+      retentionDays: TRASH_RETENTION_DAYS
+    });
+
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching trash'
+    });
+  }
+});
+
+// @route   POST /api/trash/purge
+// @desc    Purge everything past the retention period. Runs hourly on the
+//          server; serverless deployments can call this from a cron job.
+// @access  Private (settings:manage)
+router.post('/purge', authorize('settings:manage'), async (req, res) => {
+  try {
+    const purged = await purgeExpired();
+    await logAuditEntries(req, purged);
+
+    res.json({
+      success: true,
+      message: `${purged.length} item(s) purged`,
+      data: purged.map(({ entityType, entityId, entityName }) => ({ type: entityType, id: entityId, name: entityName }))
+    });
+
+  } catch (error) {
+    console.error('Purge trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while purging trash'
+    });
+  }
+});
+
+// @route   POST /api/trash/:type/:id/restore
+// @desc    Restore a trashed product, certificate or team member
+// @access  Private (delete permission for the type)
+router.post('/:type/:id/restore', authorize(), loadTrashItem, async (req, res) => {
+  try {
+    const doc = req.trashItem;
+    await doc.restore();
+
+    await logAuditEntries(req, [{
+      action: 'restore',
+      entityType: req.params.type,
+      entityId: doc._id,
+      entityName: doc.name
+    }]);
+
+    res.json({
+      success: true,
+      message: `${req.trashType.label} restored successfully`,
+      data: doc
+    });
+
+  } catch (error) {
+    console.error('Restore trash item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while restoring item'
+    });
+  }
+});
+
+// @route   DELETE /api/trash/:type/:id
+// @desc    Permanently delete a trashed item and its files
+// @access  Private (delete permission for the type)
+router.delete('/:type/:id', authorize(), loadTrashItem, async (req, res) => {
+  try {
+    const doc = req.trashItem;
+    await purgeItem(req.params.type, doc);
+
+    await logAuditEntries(req, [{
+      action: 'purge',
+      entityType: req.params.type,
+      entityId: doc._id,
+      entityName: doc.name
+    }]);
+
+    res.json({
+      success: true,
+      message: `${req.trashType.label} permanently deleted`
+    });
+
+  } catch (error) {
+    console.error('Purge trash item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting item'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,608 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const User = require('../models/User');
+const { authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { ROLES, ASSIGNABLE_ROLES, isOwnerRole } = require('../config/roles');
+const { validatePassword, generatePassword } = require('../config/passwordPolicy');
+const { revokeAllUserTokens } = require('../utils/tokens');
+const { unlockAccount } = require('../utils/loginProtection');
+
+const router = express.Router();
+
+// Check whether removing this user would leave no active owner. Legacy
+// admins have the same access and count as owners.
+const isLastActiveOwner = async (user) => {
+  if (!isOwnerRole(user.role) || !user.isActive) return false;
+  const otherOwners = await User.countActiveOwners(user._id);
+  return otherOwners === 0;
+};
+
+// Only owners may grant the owner role or modify an owner or admin account
+const canManageOwner = (req, targetRole) => {
+  return !isOwnerRole(targetRole) || isOwnerRole(req.user.role);
+};
+
+// @route   GET /api/users
+// @desc    Get all dashboard users with filtering and pagination
+// @access  Private (users:manage)
+router.get('/', [
+  authorize('users:manage'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('role').optional().isIn(ROLES).withMessage('Invalid role'),
+  query('search').optional().isLength({ max: 100 }).withMessage('Search term too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const { role, isActive, search } = req.query;
+
+    // Build filter object
+    let filter = {};
+
+    if (role) filter.role = role;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+    if (req.query.locked === 'true') filter.lockUntil = { $gt: new Date() };
+    if (search) {
+      const escaped = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.email = { $regex: escaped, $options: 'i' };
+    }
+
+    const users = await User.find(filter)
+      .select('-password')
+      .populate('invitedBy', 'email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await User.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: users,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching users'
+    });
+  }
+});
+
+// @route   GET /api/users/:id
+// @desc    Get single dashboard user
+// @access  Private (users:manage)
+router.get('/:id', authorize('users:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+      .select('-password')
+      .populate('invitedBy', 'email');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: user
+    });
+
+  } catch (error) {
+    console.error('Get user error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching user'
+    });
+  }
+});
+
+// @route   POST /api/users
+// @desc    Invite a new dashboard user
+// @access  Private (users:manage)
+router.post('/', [
+  authorize('users:manage'),
+  audit('user', User, { action: 'invite' }),
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('role')
+    .isIn(ASSIGNABLE_ROLES)
+    .withMessage('Invalid role'),
+  body('password')
+    .optional()
+    .isString()
+    .withMessage('Password must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email, role, password } = req.body;
+
+    if (!canManageOwner(req, role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only owners can invite other owners'
+      });
+    }
+
+    if (password) {
+      const passwordErrors = validatePassword(password, { email });
+      if (passwordErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Password does not meet the password policy',
+          errors: passwordErrors
+        });
+      }
+    }
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'A user with this email already exists'
+      });
+    }
+
+    // Without an explicit password the user gets a temporary one
+    const temporaryPassword = password ? undefined : generatePassword();
+
+    const user = new User({
+      email,
+      role,
+      password: password || temporaryPassword,
+      mustChangePassword: true,
+      invitedBy: req.user._id
+    });
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'User invited successfully',
+      data: user,
+      ...(temporaryPassword && { temporaryPassword })
+    });
+
+  } catch (error) {
+    console.error('Invite user error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A user with this email already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while inviting user'
+    });
+  }
+});
+
+// @route   PUT /api/users/:id/role
+// @desc    Change a user's role
+// @access  Private (users:manage)
+router.put('/:id/role', [
+  authorize('users:manage'),
+  audit('user', User, { action: 'update_role' }),
+  body('role')
+    .isIn(ASSIGNABLE_ROLES)
+    .withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { role } = req.body;
+
+    if (!canManageOwner(req, user.role) || !canManageOwner(req, role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only owners can grant or change the owner role'
+      });
+    }
+
+    if (!isOwnerRole(role) && await isLastActiveOwner(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot change the role of the last active owner'
+      });
+    }
+
+    user.role = role;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'User role updated successfully',
+      data: user
+    });
+
+  } catch (error) {
+    console.error('Update user role error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating user role'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/deactivate
+// @desc    Deactivate a user account
+// @access  Private (users:manage)
+router.post('/:id/deactivate', authorize('users:manage'), audit('user', User, { action: 'deactivate' }), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot deactivate your own account'
+      });
+    }
+
+    if (!canManageOwner(req, user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only owners can deactivate other owners'
+      });
+    }
+
+    if (await isLastActiveOwner(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot deactivate the last active owner'
+      });
+    }
+
+    user.isActive = false;
+    user.deactivatedAt = new Date();
+    await user.save();
+    await revokeAllUserTokens(user);
+
+    res.json({
+      success: true,
+      message: 'User deactivated successfully',
+      data: user
+    });
+
+  } catch (error) {
+    console.error('Deactivate user error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deactivating user'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/reactivate
+// @desc    Reactivate a deactivated user account
+// @access  Private (users:manage)
+router.post('/:id/reactivate', authorize('users:manage'), audit('user', User, { action: 'reactivate' }), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!canManageOwner(req, user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only owners can reactivate other owners'
+      });
+    }
+
+    user.isActive = true;
+    user.deactivatedAt = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'User reactivated successfully',
+      data: user
+    });
+
+  } catch (error) {
+    console.error('Reactivate user error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reactivating user'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/force-password-reset
+// @desc    Replace a user's password with a temporary one they must change
+// @access  Private (users:manage)
+router.post('/:id/force-password-reset', authorize('users:manage'), audit('user', User, { action: 'force_password_reset' }), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('+passwordHistory');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!canManageOwner(req, user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only owners can reset the password of other owners'
+      });
+    }
+
+    const temporaryPassword = generatePassword();
+    user.setPassword(temporaryPassword);
+    user.mustChangePassword = true;
+    await user.save();
+    await revokeAllUserTokens(user);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. The user must change it at next login.',
+      temporaryPassword
+    });
+
+  } catch (error) {
+    console.error('Force password reset error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resetting password'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/reset-2fa
+// @desc    Remove a user's two-factor enrolment (e.g. lost device)
+// @access  Private (users:manage)
+router.post('/:id/reset-2fa', authorize('users:manage'), audit('user', User, { action: 'reset_two_factor' }), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!canManageOwner(req, user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only owners can reset two-factor authentication for other owners'
+      });
+    }
+
+    user.clearTwoFactor();
+    await user.save();
+    await revokeAllUserTokens(user);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset successfully',
+      data: user
+    });
+
+  } catch (error) {
+    console.error('Reset two-factor error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resetting two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/unlock
+// @desc    Unlock an account locked after failed logins
+// @access  Private (users:manage)
+router.post('/:id/unlock', authorize('users:manage'), audit('user', User, { action: 'unlock' }), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await unlockAccount(user, req);
+
+    res.json({
+      success: true,
+      message: 'User unlocked successfully',
+      data: user
+    });
+
+  } catch (error) {
+    console.error('Unlock user error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while unlocking user'
+    });
+  }
+});
+
+// @route   DELETE /api/users/:id
+// @desc    Delete a user account
+// @access  Private (users:manage)
+router.delete('/:id', authorize('users:manage'), audit('user', User), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot delete your own account'
+      });
+    }
+
+    if (!canManageOwner(req, user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only owners can delete other owners'
+      });
+    }
+
+    if (await isLastActiveOwner(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete the last active owner'
+      });
+    }
+
+    await revokeAllUserTokens(user);
+    await User.findByIdAndDelete(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'User deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete user error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting user'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+require('dotenv').config();
+
+// Give products created before slugs existed a slug of their own
+const backfillProductSlugs = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/herbs-dashboard', {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log('Connected to MongoDB');
+
+    const products = await Product.find({ slug: { $exists: false } });
+    console.log(`Found ${products.length} products without a slug`);
+
+    for (const product of products) {
+      // Saving runs the slug hook; products are saved one at a time so
+      // duplicate names get numbered suffixes
+      await product.save({ validateModifiedOnly: true });
+      console.log(`${product.name} -> ${product.slug}`);
+    }
+
+  } catch (error) {
+    console.error('Error backfilling product slugs:', error);
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+// Run the backfill
+backfillProductSlugs();
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const { publishLegacyProducts } = require('../utils/publishing');
+require('dotenv').config();
+
+// Products created before the publishing workflow were all public, so they
+// start out published rather than as drafts. The server also does this when
+// it connects; this runs it by hand.
+const backfillProductStatus = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/herbs-dashboard', {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log('Connected to MongoDB');
+
+    const count = await publishLegacyProducts();
+    console.log(`Marked ${count} products as published`);
+
+  } catch (error) {
+    console.error('Error backfilling product status:', error);
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+// Run the backfill
+backfillProductStatus();
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+require('dotenv').config();
+
+// Products and variants from before stock tracking have no quantities, so
+// saving them would derive them as out of stock. Anything that was for sale
+// is marked as sold on request instead until stock is recorded for it.
+const isMissing = (field) => ({ $eq: [{ $type: field }, 'missing'] });
+
+const backfillProductStock = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/herbs-dashboard', {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log('Connected to MongoDB');
+
+    // updateMany skips the soft delete filter, so trashed products are included
+    const result = await Product.updateMany(
+      {
+        $or: [
+          { quantityOnHand: { $exists: false } },
+          { variants: { $elemMatch: { quantityOnHand: { $exists: false } } } }
+        ]
+      },
+      [{
+        $set: {
+          stockStatus: {
+            $cond: [
+              isMissing('$quantityOnHand'),
+              { $cond: [{ $eq: ['$inStock', false] }, 'out_of_stock', 'on_request'] },
+              '$stockStatus'
+            ]
+          },
+          quantityOnHand: { $ifNull: ['$quantityOnHand', 0] },
+          quantityReserved: { $ifNull: ['$quantityReserved', 0] },
+          variants: {
+            $map: {
+              input: { $ifNull: ['$variants', []] },
+              as: 'variant',
+              in: {
+                $cond: [
+                  isMissing('$$variant.quantityOnHand'),
+                  {
+                    $mergeObjects: ['$$variant', {
+                      stockStatus: { $cond: [{ $eq: ['$$variant.stockStatus', 'out_of_stock'] }, 'out_of_stock', 'on_request'] },
+                      quantityOnHand: 0,
+                      quantityReserved: 0
+                    }]
+                  },
+                  '$$variant'
+                ]
+              }
+            }
+          }
+        }
+      }]
+    );
+    console.log(`Backfilled stock status on ${result.modifiedCount} products`);
+
+  } catch (error) {
+    console.error('Error backfilling product stock:', error);
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+// Run the backfill
+backfillProductStock();
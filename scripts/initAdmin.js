@@ -28,7 +28,7 @@ const initializeAdmin = async () => {
     const admin = new User({
       email: adminEmail,
       password: adminPassword,
-      role: 'admin'
+      role: 'owner'
     });
 
     await admin.save();
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Certificate = require('../models/Certificate');
+require('dotenv').config();
+
+// Products used to list certifications as free text. This replaces each name
+// with the certificate it refers to, matched case-insensitively on the
+// certificate name (English or Arabic) or number. Runs as a dry run unless
+// called with --apply; names without a certificate are reported and, when
+// applied, dropped, so create those certificates first and run it again.
+const APPLY = process.argv.includes('--apply');
+
+const migrateProductCertifications = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/herbs-dashboard', {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log('Connected to MongoDB');
+
+    const lookup = new Map();
+    const certificates = await Certificate.find().select('name certificateNumber translations');
+    certificates.forEach(certificate => {
+      [certificate.name, certificate.certificateNumber, certificate.translations && certificate.translations.ar && certificate.translations.ar.name]
+        .filter(Boolean)
+        .forEach(key => {
+          if (!lookup.has(key.toLowerCase())) lookup.set(key.toLowerCase(), certificate._id);
+        });
+    });
+
+    // Read the raw documents: the schema would fail to cast the old names.
+    // Trashed products are included.
+    const products = await Product.collection
+      .find({ certifications: { $type: 'string' } })
+      .project({ name: 1, certifications: 1 })
+      .toArray();
+
+    const unmatched = new Map();
+    let updated = 0;
+
+    for (const product of products) {
+      const ids = [];
+      product.certifications.forEach(value => {
+        if (typeof value !== 'string') {
+          ids.push(value);
+          return;
+        }
+        const id = lookup.get(value.trim().toLowerCase());
+        if (id) {
+          ids.push(id);
+        } else {
+          unmatched.set(value, (unmatched.get(value) || 0) + 1);
+        }
+      });
+
+      const unique = ids.filter((id, index) => ids.findIndex(other => other.equals(id)) === index);
+      console.log(`${product.name}: ${product.certifications.join(', ')} -> ${unique.length} certificate(s)`);
+
+      if (APPLY) {
+        await Product.collection.updateOne({ _id: product._id }, { $set: { certifications: unique } });
+        updated++;
+      }
+    }
+
+    if (unmatched.size > 0) {
+      console.log('No certificate found for:');
+      unmatched.forEach((count, value) => console.log(`  "${value}" (${count} product(s))`));
+    }
+
+    console.log(APPLY
+      ? `Updated ${updated} products`
+      : `${products.length} products to update. Run with --apply to save the changes.`);
+
+  } catch (error) {
+    console.error('Error migrating product certifications:', error);
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+// Run the migration
+migrateProductCertifications();
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Certificate = require('../models/Certificate');
+const TeamMember = require('../models/TeamMember');
+require('dotenv').config();
+
+// Models whose indexes changed in ways autoIndex can't apply on its own,
+// such as replacing a collection's text index
+const models = [Product, Category, Certificate, TeamMember];
+
+const syncIndexes = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/herbs-dashboard', {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log('Connected to MongoDB');
+
+    for (const Model of models) {
+      const dropped = await Model.syncIndexes();
+      console.log(`${Model.modelName}: indexes in sync${dropped.length ? `, dropped ${dropped.join(', ')}` : ''}`);
+    }
+
+  } catch (error) {
+    console.error('Error syncing indexes:', error);
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+// Run the sync
+syncIndexes();
@@ -0,0 +1,269 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Certificate = require('../models/Certificate');
+const { getTranslatableFields, localize } = require('./i18n');
+const {
+  BRAND,
+  useLanguageFonts,
+  fetchImage,
+  loadContactLine,
+  createDocument,
+  ensureSpace,
+  decoratePages,
+  toBuffer
+} = require('./pdf');
+
+// Generated catalogs are kept here until the catalog changes. On serverless
+// hosts this is the writable temp directory of the instance.
+const CACHE_DIR = process.env.CATALOG_CACHE_DIR || path.join(os.tmpdir(), 'catalog-pdf');
+
+const PRODUCT_FIELDS = getTranslatableFields(Product);
+const CATEGORY_FIELDS = getTranslatableFields(Category);
+const CERTIFICATE_FIELDS = getTranslatableFields(Certificate);
+
+const IMAGE_SIZE = 100;
+const IMAGE_CONCURRENCY = 4;
+const SHORT_DESCRIPTION_LENGTH = 220;
+
+const LABELS = {
+  en: {
+    title: 'Product catalog',
+    origin: 'Origin',
+    packs: 'Packs'
+  },
+  ar: {
+    title: 'كتالوج المنتجات',
+    origin: 'المنشأ',
+    packs: 'العبوات'
+  }
+};
+
+const hash = (value) => crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex').slice(0, 16);
+
+// Cut a description at a word boundary
+const shorten = (text, length) => {
+  if (!text || text.length <= length) return text || '';
+  const cut = text.slice(0, length);
+  return cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : length).trim() + '…';
+};
+
+// Fingerprint of everything the catalog shows. It changes whenever a
+// published product, a category or a certificate is created, edited, removed
+// or unpublished. Certificates expiring change the badges too, so the date
+// is part of it.
+const getCatalogVersion = async () => {
+  const summarize = (Model, match) => Model.aggregate([
+    { $match: match },
+    { $group: { _id: null, count: { $sum: 1 }, updatedAt: { $max: '$updatedAt' } } }
+  ]);
+
+  const [products, categories, certificates] = await Promise.all([
+    summarize(Product, { status: 'published' }),
+    summarize(Category, {}),
+    summarize(Certificate, {})
+  ]);
+
+  return hash([products[0] || null, categories[0] || null, certificates[0] || null, new Date().toISOString().slice(0, 10)]);
+};
+
+// Resolve the requested categories (IDs or slugs) in catalog order.
+// Defaults to every active category.
+const loadCategories = async (requested) => {
+  if (!requested || requested.length === 0) {
+    return Category.find({ isActive: true }).sort({ sortOrder: 1, name: 1 });
+  }
+
+  const ids = requested.filter(value => /^[a-f0-9]{24}$/i.test(value));
+  const categories = await Category.find({ $or: [{ _id: { $in: ids } }, { slug: { $in: requested } }] })
+    .sort({ sortOrder: 1, name: 1 });
+
+  const missing = requested.filter(value => !categories.some(category =>
+    category._id.toString() === value || category.slug === value));
+  if (missing.length > 0) {
+    throw Object.assign(new Error(`Unknown categories: ${missing.join(', ')}`), { status: 400 });
+  }
+
+  return categories;
+};
+
+// Fetch images a few at a time
+const fetchImages = async (products) => {
+  const images = new Map();
+  for (let index = 0; index < products.length; index += IMAGE_CONCURRENCY) {
+    const batch = products.slice(index, index + IMAGE_CONCURRENCY);
+    const buffers = await Promise.all(batch.map(product => fetchImage(product.image, IMAGE_SIZE * 3)));
+    batch.forEach((product, position) => images.set(product._id.toString(), buffers[position]));
+  }
+  return images;
+};
+
+// Small rounded labels in a row, wrapping onto the next line when full
+const drawBadges = (doc, badges, { x, y, width, fonts }) => {
+  let cursorX = x;
+  let cursorY = y;
+  doc.font(fonts.bold).fontSize(7);
+
+  badges.forEach(badge => {
+    const badgeWidth = doc.widthOfString(badge) + 10;
+    if (cursorX + badgeWidth > x + width) {
+      cursorX = x;
+      cursorY += 14;
+    }
+    doc.roundedRect(cursorX, cursorY, badgeWidth, 11, 5).fill(BRAND.color);
+    doc.fillColor('#ffffff').text(badge, cursorX + 5, cursorY + 2.5, { lineBreak: false });
+    cursorX += badgeWidth + 4;
+  });
+
+  return badges.length > 0 ? cursorY + 14 : y;
+};
+
+const drawCover = (doc, { labels, fonts, lang, categories }) => {
+  const { width, height, margins } = doc.page;
+  const contentWidth = width - margins.left - margins.right;
+  const align = fonts.rtl ? 'right' : 'left';
+
+  doc.font(fonts.bold).fontSize(34).fillColor(BRAND.color)
+    .text(BRAND.name, margins.left, height / 3, { width: contentWidth, align });
+  doc.font(fonts.regular).fontSize(18).fillColor(BRAND.text)
+    .text(labels.title, { width: contentWidth, align });
+  doc.moveDown(1.5);
+  doc.fontSize(11).fillColor(BRAND.muted)
+    .text(categories.map(category => localize(category, CATEGORY_FIELDS, lang).name).join('  ·  '), { width: contentWidth, align });
+};
+
+const drawProduct = (doc, product, { image, labels, fonts }) => {
+  const { margins, width } = doc.page;
+  const contentWidth = width - margins.left - margins.right;
+  const textWidth = contentWidth - IMAGE_SIZE - 15;
+  const align = fonts.rtl ? 'right' : 'left';
+
+  // Image on the leading side: left for LTR, right for RTL
+  const imageX = fonts.rtl ? width - margins.right - IMAGE_SIZE : margins.left;
+  const textX = fonts.rtl ? margins.left : margins.left + IMAGE_SIZE + 15;
+
+  const description = shorten(product.description, SHORT_DESCRIPTION_LENGTH);
+  doc.font(fonts.regular).fontSize(9);
+  const textHeight = 18 + doc.heightOfString(description, { width: textWidth }) + 40;
+  ensureSpace(doc, Math.max(IMAGE_SIZE, textHeight) + 16);
+
+  const top = doc.y;
+  if (image) {
+    try {
+      doc.image(image, imageX, top, { fit: [IMAGE_SIZE, IMAGE_SIZE], align: 'center', valign: 'center' });
+    } catch (error) {
+      console.error('Embed catalog image error:', error.message);
+    }
+  } else {
+    doc.rect(imageX, top, IMAGE_SIZE, IMAGE_SIZE).lineWidth(0.5).strokeColor(BRAND.rule).stroke();
+  }
+
+  doc.font(fonts.bold).fontSize(12).fillColor(BRAND.text).text(product.name, textX, top, { width: textWidth, align });
+  doc.font(fonts.regular).fontSize(9).fillColor(BRAND.text).text(description, { width: textWidth, align });
+
+  const details = [];
+  if (product.origin) details.push(`${labels.origin}: ${product.origin}`);
+  if (product.variants && product.variants.length > 0) {
+    details.push(`${labels.packs}: ${product.variants.map(variant => variant.label || `${variant.packSize} ${variant.packUnit}`).join(', ')}`);
+  }
+  if (details.length > 0) {
+    doc.moveDown(0.3);
+    doc.fontSize(8).fillColor(BRAND.muted).text(details.join('  |  '), { width: textWidth, align });
+  }
+
+  // Only certificates that currently hold are shown
+  const badges = (product.certifications || [])
+    .filter(certificate => certificate && certificate.isActive && !Certificate.isExpired(certificate))
+    .map(certificate => certificate.name);
+  const badgesBottom = drawBadges(doc, badges, { x: textX, y: doc.y + 4, width: textWidth, fonts });
+
+  doc.x = margins.left;
+  doc.y = Math.max(top + IMAGE_SIZE, badgesBottom) + 16;
+};
+
+// Render the catalog: a cover, then each category on a new page with its
+// published products
+const renderCatalog = async ({ lang, categories }) => {
+  const products = await Product.find({ status: 'published', category: { $in: categories.map(category => category._id) } })
+    .populate('certifications', 'name expiryDate isActive translations')
+    .sort({ name: 1 });
+  const [images, contactLine] = await Promise.all([fetchImages(products), loadContactLine()]);
+
+  const doc = createDocument(`${BRAND.name} - ${LABELS[lang].title}`);
+  const fonts = useLanguageFonts(doc, lang);
+  const labels = LABELS[lang];
+
+  drawCover(doc, { labels, fonts, lang, categories });
+
+  categories.forEach(category => {
+    const categoryProducts = products.filter(product => product.category.equals(category._id));
+    if (categoryProducts.length === 0) return;
+
+    doc.addPage();
+    const { margins, width } = doc.page;
+    doc.font(fonts.bold).fontSize(20).fillColor(BRAND.color)
+      .text(localize(category, CATEGORY_FIELDS, lang).name, margins.left, doc.y, {
+        width: width - margins.left - margins.right,
+        align: fonts.rtl ? 'right' : 'left'
+      });
+    doc.moveDown(0.8);
+
+    categoryProducts.forEach(product => {
+      const data = localize(product, PRODUCT_FIELDS, lang);
+      data.certifications = data.certifications.map(certificate => localize(certificate, CERTIFICATE_FIELDS, lang));
+      drawProduct(doc, data, {
+        image: images.get(product._id.toString()),
+        labels,
+        fonts
+      });
+    });
+  });
+
+  decoratePages(doc, { title: labels.title, footer: contactLine, fonts });
+  return toBuffer(doc);
+};
+
+// Catalogs being generated, so concurrent requests share one render
+const pending = new Map();
+
+// Get the catalog PDF for a language and category subset, from the cache
+// when the catalog hasn't changed since it was generated. Returns the file path.
+const getCatalogPdf = async ({ lang, categories: requested }) => {
+  const categories = await loadCategories(requested);
+  const key = hash([lang, categories.map(category => category._id.toString())]);
+  const version = await getCatalogVersion();
+  const file = path.join(CACHE_DIR, `${key}-${version}.pdf`);
+
+  if (fs.existsSync(file)) return file;
+  if (pending.has(file)) return pending.get(file);
+
+  const render = (async () => {
+    const pdf = await renderCatalog({ lang, categories });
+
+    await fs.promises.mkdir(CACHE_DIR, { recursive: true });
+    const temporary = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temporary, pdf);
+    await fs.promises.rename(temporary, file);
+
+    // Drop catalogs of the same selection generated for older versions
+    const stale = (await fs.promises.readdir(CACHE_DIR))
+      .filter(name => name.startsWith(`${key}-`) && name.endsWith('.pdf') && path.join(CACHE_DIR, name) !== file);
+    await Promise.all(stale.map(name => fs.promises.unlink(path.join(CACHE_DIR, name)).catch(() => {})));
+
+    return file;
+  })();
+
+  pending.set(file, render);
+  try {
+    return await render;
+  } finally {
+    pending.delete(file);
+  }
+};
+
+module.exports = {
+  getCatalogPdf
+};
@@ -0,0 +1,44 @@
+// Leading characters spreadsheet apps treat as the start of a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r']/;
+
+// Escape a single CSV value, quoting it when needed (RFC 4180)
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (Array.isArray(value)) {
+    text = value.join(', ');
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  // Stop spreadsheet apps from evaluating text as formulas. Text already
+  // starting with a quote gets one too so unescapeCsvValue can undo it.
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+// Remove the quote escapeCsvValue puts before formula-like text, so
+// exported files can be imported again unchanged
+const unescapeCsvValue = (text) => (
+  text.startsWith("'") && FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text
+);
+
+// Build one CSV line from a list of values
+const toCsvRow = (values) => values.map(escapeCsvValue).join(',') + '\r\n';
+
+module.exports = {
+  escapeCsvValue,
+  unescapeCsvValue,
+  toCsvRow
+};
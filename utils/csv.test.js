@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { escapeCsvValue, unescapeCsvValue, toCsvRow } = require('./csv');
+const { readRows } = require('./spreadsheet');
+const { resolveMapping } = require('./productImport');
+
+test('escapeCsvValue quotes values with commas, quotes and line breaks', () => {
+  assert.strictEqual(escapeCsvValue('plain'), 'plain');
+  assert.strictEqual(escapeCsvValue('a, b'), '"a, b"');
+  assert.strictEqual(escapeCsvValue('say "hi"'), '"say ""hi"""');
+  assert.strictEqual(escapeCsvValue('two\nlines'), '"two\nlines"');
+});
+
+test('escapeCsvValue writes dates, lists and objects as text', () => {
+  assert.strictEqual(escapeCsvValue(null), '');
+  assert.strictEqual(escapeCsvValue(undefined), '');
+  assert.strictEqual(escapeCsvValue(new Date('2026-10-19T00:00:00Z')), '2026-10-19T00:00:00.000Z');
+  assert.strictEqual(escapeCsvValue(['a', 'b']), '"a, b"');
+  assert.strictEqual(escapeCsvValue({ a: 1 }), '"{""a"":1}"');
+  assert.strictEqual(escapeCsvValue(12.5), '12.5');
+  assert.strictEqual(escapeCsvValue(false), 'false');
+});
+
+test('escapeCsvValue stops spreadsheet formulas in text', () => {
+  assert.strictEqual(escapeCsvValue('=HYPERLINK("http://x")'), '"\'=HYPERLINK(""http://x"")"');
+  assert.strictEqual(escapeCsvValue('+1 555'), "'+1 555");
+  assert.strictEqual(escapeCsvValue('@import'), "'@import");
+  assert.strictEqual(escapeCsvValue("'quoted"), "''quoted");
+  // Numbers are not text and stay as they are
+  assert.strictEqual(escapeCsvValue(-5), '-5');
+});
+
+test('unescapeCsvValue undoes only the formula escape', () => {
+  ['=SUM(A1)', '-5 off', "'quoted", "'=x", 'plain'].forEach(text => {
+    const escaped = escapeCsvValue(text);
+    assert.strictEqual(unescapeCsvValue(escaped), text);
+  });
+  assert.strictEqual(unescapeCsvValue("'plain"), "'plain");
+});
+
+test('toCsvRow joins escaped values into one CRLF line', () => {
+  assert.strictEqual(toCsvRow(['a', 'b, c', null, 3]), 'a,"b, c",,3\r\n');
+});
+
+test('exported CSV files import back unchanged', async () => {
+  const product = {
+    name: 'Pepper, "Black"',
+    description: '=Best grade\nMalabar',
+    tags: '+hot; @sale',
+    origin: "'Kerala'",
+    metaTitle: '-20% this week'
+  };
+  const headers = Object.keys(product);
+  const csv = toCsvRow(headers) + toCsvRow(headers.map(header => product[header]));
+
+  const { headers: readHeaders, rows } = await readRows(Buffer.from(csv), 'csv');
+  const { mapping, unmapped } = resolveMapping(readHeaders);
+
+  assert.deepStrictEqual(unmapped, []);
+  assert.deepStrictEqual(Object.values(mapping), headers);
+  assert.deepStrictEqual(rows, [{ rowNumber: 2, values: product }]);
+});
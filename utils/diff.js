@@ -0,0 +1,60 @@
+// Fields that never appear in diffs
+const DEFAULT_IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Convert values to plain JSON-friendly forms so they compare reliably
+const normalize = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object' && value._bsontype === 'ObjectId') return value.toString();
+  if (Array.isArray(value)) return value.map(normalize);
+  if (typeof value === 'object') {
+    const result = {};
+    Object.keys(value).forEach(key => {
+      result[key] = normalize(value[key]);
+    });
+    return result;
+  }
+  return value;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Flatten nested objects to dot paths; arrays are kept as single values
+const flatten = (object, prefix = '', result = {}) => {
+  Object.keys(object || {}).forEach(key => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const value = object[key];
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+      flatten(value, path, result);
+    } else {
+      result[path] = value;
+    }
+  });
+  return result;
+};
+
+// List changed fields between two documents as { field, before, after }
+const diffObjects = (before, after, ignoredFields = []) => {
+  const ignored = new Set([...DEFAULT_IGNORED_FIELDS, ...ignoredFields]);
+  const flatBefore = flatten(normalize(before) || {});
+  const flatAfter = flatten(normalize(after) || {});
+  const fields = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+
+  const changes = [];
+  fields.forEach(field => {
+    if (ignored.has(field) || ignored.has(field.split('.')[0])) return;
+
+    const previous = flatBefore[field] === undefined ? null : flatBefore[field];
+    const next = flatAfter[field] === undefined ? null : flatAfter[field];
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      changes.push({ field, before: previous, after: next });
+    }
+  });
+
+  return changes.sort((a, b) => a.field.localeCompare(b.field));
+};
+
+module.exports = {
+  normalize,
+  diffObjects
+};
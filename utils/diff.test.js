@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { normalize, diffObjects } = require('./diff');
+
+test('normalize turns dates and ObjectIds into strings', () => {
+  const id = new mongoose.Types.ObjectId();
+  const date = new Date('2026-01-02T03:04:05.000Z');
+
+  assert.deepStrictEqual(normalize({ id, dates: [date], missing: undefined, nested: { value: null } }), {
+    id: id.toString(),
+    dates: ['2026-01-02T03:04:05.000Z'],
+    missing: null,
+    nested: { value: null }
+  });
+});
+
+test('diffObjects lists changed fields as dot paths, sorted', () => {
+  const before = { name: 'Cumin', price: 10, specifications: { moisturePercent: 8, form: 'whole' } };
+  const after = { name: 'Cumin', price: 12, specifications: { moisturePercent: 9, form: 'whole' }, origin: 'India' };
+
+  assert.deepStrictEqual(diffObjects(before, after), [
+    { field: 'origin', before: null, after: 'India' },
+    { field: 'price', before: 10, after: 12 },
+    { field: 'specifications.moisturePercent', before: 8, after: 9 }
+  ]);
+});
+
+test('diffObjects compares arrays as whole values', () => {
+  assert.deepStrictEqual(diffObjects({ tags: ['a', 'b'] }, { tags: ['b', 'a'] }), [
+    { field: 'tags', before: ['a', 'b'], after: ['b', 'a'] }
+  ]);
+  assert.deepStrictEqual(diffObjects({ tags: ['a'] }, { tags: ['a'] }), []);
+});
+
+test('diffObjects treats a missing document as empty', () => {
+  assert.deepStrictEqual(diffObjects(null, { name: 'Clove' }), [{ field: 'name', before: null, after: 'Clove' }]);
+  assert.deepStrictEqual(diffObjects({ name: 'Clove' }, undefined), [{ field: 'name', before: 'Clove', after: null }]);
+});
+
+test('diffObjects skips default and requested ignored fields, including nested paths', () => {
+  const before = { _id: 1, __v: 0, updatedAt: new Date(0), password: 'a', profile: { token: 'x' }, name: 'A' };
+  const after = { _id: 2, __v: 1, updatedAt: new Date(), password: 'b', profile: { token: 'y' }, name: 'A' };
+
+  assert.deepStrictEqual(diffObjects(before, after, ['password', 'profile']), []);
+});
+
+test('diffObjects does not report an ObjectId and its string as a change', () => {
+  const id = new mongoose.Types.ObjectId();
+  assert.deepStrictEqual(diffObjects({ category: id }, { category: id.toString() }), []);
+});
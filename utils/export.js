@@ -0,0 +1,89 @@
+const ExcelJS = require('exceljs');
+const { toCsvRow } = require('./csv');
+const { XLSX_MIME_TYPE } = require('./spreadsheet');
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+// Whether the client has gone away or the response is already finished
+const isClosed = (res) => res.destroyed || res.writableEnded;
+
+// Write to the response, waiting for it to drain when its buffer is full.
+// A closed connection never drains, so closing settles the wait too.
+const write = (res, chunk) => {
+  if (isClosed(res)) return Promise.resolve();
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.once('drain', done);
+    res.once('close', done);
+  });
+};
+
+const xlsxValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'object' && !(value instanceof Date)) return JSON.stringify(value);
+  return value;
+};
+
+// Stream documents from a Mongoose cursor to the response one at a time.
+// Stops and closes the cursor when the client disconnects.
+//   columns - [{ header, value: (doc) => value }] used for CSV and XLSX
+//   toJson  - (doc) => object written for JSON, defaults to the document
+const streamExport = async (res, options) => {
+  try {
+    return await writeExport(res, options);
+  } finally {
+    await options.cursor.close();
+  }
+};
+
+const writeExport = async (res, { format, filename, sheetName = 'Export', columns, cursor, toJson = doc => doc }) => {
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    await write(res, toCsvRow(columns.map(column => column.header)));
+    for await (const doc of cursor) {
+      if (isClosed(res)) return;
+      await write(res, toCsvRow(columns.map(column => column.value(doc))));
+    }
+    return res.end();
+  }
+
+  if (format === 'xlsx') {
+    res.setHeader('Content-Type', XLSX_MIME_TYPE);
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const worksheet = workbook.addWorksheet(sheetName);
+    worksheet.columns = columns.map(column => ({ header: column.header, key: column.header, width: column.width || 20 }));
+    worksheet.getRow(1).font = { bold: true };
+
+    for await (const doc of cursor) {
+      if (isClosed(res)) return;
+      worksheet.addRow(columns.map(column => xlsxValue(column.value(doc)))).commit();
+    }
+    worksheet.commit();
+    // Ends the response once the file is complete
+    return workbook.commit();
+  }
+
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  await write(res, '[');
+  let first = true;
+  for await (const doc of cursor) {
+    if (isClosed(res)) return;
+    await write(res, (first ? '' : ',') + JSON.stringify(toJson(doc)));
+    first = false;
+  }
+  await write(res, ']');
+  res.end();
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  streamExport
+};
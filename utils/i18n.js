@@ -0,0 +1,104 @@
+// Catalog content is stored in the fallback language in the regular fields
+// (name, description, ...) with other languages under translations.<lang>
+const FALLBACK_LANGUAGE = 'en';
+const SUPPORTED_LANGUAGES = ['en', 'ar'];
+const TRANSLATED_LANGUAGES = SUPPORTED_LANGUAGES.filter(lang => lang !== FALLBACK_LANGUAGE);
+
+// Pick a supported language from ?lang= or the Accept-Language header
+const resolveLanguage = (req) => {
+  const requested = String(req.query.lang || '').toLowerCase().split('-')[0];
+  if (SUPPORTED_LANGUAGES.includes(requested)) return requested;
+
+  const header = req.get('Accept-Language');
+  if (!header) return FALLBACK_LANGUAGE;
+
+  // e.g. "ar-EG,ar;q=0.9,en;q=0.8"
+  const preferred = header
+    .split(',')
+    .map(part => {
+      const [tag, ...params] = part.trim().split(';');
+      const qParam = params.find(param => param.trim().startsWith('q='));
+      const quality = qParam ? parseFloat(qParam.trim().slice(2)) : 1;
+      return { lang: tag.toLowerCase().split('-')[0], quality: Number.isNaN(quality) ? 0 : quality };
+    })
+    .filter(entry => entry.quality > 0 && SUPPORTED_LANGUAGES.includes(entry.lang))
+    .sort((a, b) => b.quality - a.quality);
+
+  return preferred.length > 0 ? preferred[0].lang : FALLBACK_LANGUAGE;
+};
+
+// Fields a model stores translations for, read from its translations.<lang> paths
+const getTranslatableFields = (Model) => {
+  const prefix = `translations.${TRANSLATED_LANGUAGES[0]}.`;
+  return Object.keys(Model.schema.paths)
+    .filter(path => path.startsWith(prefix))
+    .map(path => path.slice(prefix.length));
+};
+
+// Return a plain copy of a document with its translatable fields in the
+// requested language, falling back to the stored value when untranslated
+const localize = (doc, fields, lang) => {
+  if (!doc) return doc;
+
+  const data = typeof doc.toObject === 'function' ? doc.toObject() : { ...doc };
+  const translation = lang !== FALLBACK_LANGUAGE && data.translations && data.translations[lang];
+  if (!translation) return data;
+
+  fields.forEach(field => {
+    if (translation[field]) {
+      data[field] = translation[field];
+    }
+  });
+
+  return data;
+};
+
+// Read translations from a request body, either an object or a JSON string
+// (multipart forms), keeping only known languages and fields
+const parseTranslations = (value, fields) => {
+  if (value === undefined || value === '') return null;
+
+  const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('Translations must be an object keyed by language');
+  }
+
+  const translations = {};
+  Object.keys(parsed).forEach(lang => {
+    if (!TRANSLATED_LANGUAGES.includes(lang)) {
+      throw new Error(`Unsupported translation language: ${lang}`);
+    }
+    const entry = parsed[lang] || {};
+    translations[lang] = {};
+    fields.forEach(field => {
+      if (entry[field] !== undefined) {
+        translations[lang][field] = entry[field];
+      }
+    });
+  });
+
+  return translations;
+};
+
+// Apply parsed translations to a document; an empty string clears a field
+const applyTranslations = (doc, translations) => {
+  if (!translations) return;
+
+  Object.keys(translations).forEach(lang => {
+    Object.keys(translations[lang]).forEach(field => {
+      const value = translations[lang][field];
+      doc.set(`translations.${lang}.${field}`, value === '' || value === null ? undefined : value);
+    });
+  });
+};
+
+module.exports = {
+  FALLBACK_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  TRANSLATED_LANGUAGES,
+  resolveLanguage,
+  getTranslatableFields,
+  localize,
+  parseTranslations,
+  applyTranslations
+};
@@ -0,0 +1,170 @@
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+
+// Attempts before giving up when the product keeps changing underneath us
+const MAX_ATTEMPTS = 3;
+
+const inventoryError = (status, message) => Object.assign(new Error(message), { status });
+
+// Work out the new quantities for a movement, rejecting ones the stock can't cover
+const applyMovement = (item, { type, quantity, reason, fromReservation = true }) => {
+  const onHand = item.quantityOnHand || 0;
+  const reserved = item.quantityReserved || 0;
+  const available = onHand - reserved;
+
+  if (type === 'adjustment') {
+    if (quantity === 0) throw inventoryError(400, 'Adjustment quantity cannot be zero');
+    if (!reason) throw inventoryError(400, 'A reason is required for adjustments');
+    if (onHand + quantity < 0) {
+      throw inventoryError(400, `Adjustment would leave a negative quantity on hand (${onHand} on hand)`);
+    }
+    return { onHand: onHand + quantity, reserved };
+  }
+
+  if (!(quantity > 0)) {
+    throw inventoryError(400, 'Quantity must be greater than zero');
+  }
+
+  switch (type) {
+    case 'receipt':
+      return { onHand: onHand + quantity, reserved };
+
+    case 'reservation':
+      if (available < quantity) {
+        throw inventoryError(409, `Not enough stock available to reserve (${available} available)`);
+      }
+      return { onHand, reserved: reserved + quantity };
+
+    case 'release':
+      if (reserved < quantity) {
+        throw inventoryError(400, `Cannot release more than is reserved (${reserved} reserved)`);
+      }
+      return { onHand, reserved: reserved - quantity };
+
+    case 'shipment':
+      // Shipments normally fulfil an earlier reservation
+      if (fromReservation) {
+        if (reserved < quantity) {
+          throw inventoryError(409, `Not enough reserved stock to ship (${reserved} reserved)`);
+        }
+        return { onHand: onHand - quantity, reserved: reserved - quantity };
+      }
+      if (available < quantity) {
+        throw inventoryError(409, `Not enough stock available to ship (${available} available)`);
+      }
+      return { onHand: onHand - quantity, reserved };
+
+    default:
+      throw inventoryError(400, 'Invalid movement type');
+  }
+};
+
+// Record a stock movement and update the product or variant it applies to.
+// Only the stock fields are written, guarded by the document version so a
+// concurrent movement or variant edit makes us reload and try again.
+const recordMovement = async ({ productId, variantId, type, quantity, reason, reference, fromReservation, req }) => {
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const product = await Product.findById(productId);
+    if (!product) throw inventoryError(404, 'Product not found');
+
+    let target = product;
+    if (variantId) {
+      target = product.variants.id(variantId);
+      if (!target) throw inventoryError(404, 'Variant not found');
+    } else if (product.variants.length > 0) {
+      throw inventoryError(400, 'This product is stocked per variant, a variant is required');
+    }
+
+    const { onHand, reserved } = applyMovement(target, { type, quantity, reason, fromReservation });
+    target.quantityOnHand = onHand;
+    target.quantityReserved = reserved;
+
+    // Derives stock status and inStock from the new quantities
+    await product.validate();
+
+    const prefix = variantId ? `variants.${product.variants.indexOf(target)}.` : '';
+    const filter = { _id: product._id, __v: product.__v };
+    if (variantId) filter[`${prefix}_id`] = target._id;
+
+    // The movement goes in first so a failure can't leave stock changed
+    // without a record of why; it is removed again if the update misses
+    const movement = await StockMovement.create({
+      product: product._id,
+      variant: variantId ? target._id : undefined,
+      sku: variantId ? target.sku : undefined,
+      type,
+      quantity,
+      reason,
+      reference,
+      quantityOnHandAfter: onHand,
+      quantityReservedAfter: reserved,
+      actor: req.user && req.user._id,
+      apiKey: req.apiKey && req.apiKey._id
+    });
+
+    let result;
+    try {
+      result = await Product.updateOne(filter, {
+        $set: {
+          [`${prefix}quantityOnHand`]: onHand,
+          [`${prefix}quantityReserved`]: reserved,
+          [`${prefix}stockStatus`]: target.stockStatus,
+          inStock: product.inStock
+        },
+        $inc: { __v: 1 }
+      });
+    } catch (error) {
+      await StockMovement.deleteOne({ _id: movement._id });
+      throw error;
+    }
+
+    if (result.matchedCount === 0) {
+      await StockMovement.deleteOne({ _id: movement._id });
+      continue;
+    }
+
+    return { product, movement };
+  }
+
+  throw inventoryError(409, 'Stock changed while recording the movement, please try again');
+};
+
+// List products and variants at or below their low stock threshold
+const findLowStock = async ({ includeOutOfStock = true } = {}) => {
+  const statuses = includeOutOfStock ? ['low_stock', 'out_of_stock'] : ['low_stock'];
+
+  const products = await Product.find({
+    $or: [
+      { variants: { $size: 0 }, stockStatus: { $in: statuses } },
+      { 'variants.stockStatus': { $in: statuses } }
+    ]
+  })
+    .select('name category quantityOnHand quantityReserved lowStockThreshold stockStatus variants')
+    .populate('category', 'name slug')
+    .sort({ name: 1 });
+
+  const describe = (product, item, variant) => ({
+    product: { _id: product._id, name: product.name, category: product.category },
+    variant: variant ? { _id: variant._id, sku: variant.sku, label: variant.label, packSize: variant.packSize, packUnit: variant.packUnit } : null,
+    quantityOnHand: item.quantityOnHand,
+    quantityReserved: item.quantityReserved,
+    quantityAvailable: item.quantityOnHand - item.quantityReserved,
+    lowStockThreshold: item.lowStockThreshold,
+    stockStatus: item.stockStatus
+  });
+
+  return products.flatMap(product => {
+    if (product.variants.length === 0) {
+      return [describe(product, product)];
+    }
+    return product.variants
+      .filter(variant => statuses.includes(variant.stockStatus))
+      .map(variant => describe(product, variant, variant));
+  });
+};
+
+module.exports = {
+  applyMovement,
+  recordMovement,
+  findLowStock
+};
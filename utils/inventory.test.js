@@ -0,0 +1,126 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const { applyMovement, recordMovement } = require('./inventory');
+
+const stock = { quantityOnHand: 10, quantityReserved: 4 };
+
+test('receipts add to the quantity on hand', () => {
+  assert.deepStrictEqual(applyMovement(stock, { type: 'receipt', quantity: 5 }), { onHand: 15, reserved: 4 });
+  assert.deepStrictEqual(applyMovement({}, { type: 'receipt', quantity: 1 }), { onHand: 1, reserved: 0 });
+});
+
+test('reservations and releases move stock in and out of reserved', () => {
+  assert.deepStrictEqual(applyMovement(stock, { type: 'reservation', quantity: 6 }), { onHand: 10, reserved: 10 });
+  assert.deepStrictEqual(applyMovement(stock, { type: 'release', quantity: 4 }), { onHand: 10, reserved: 0 });
+});
+
+test('reservations cannot exceed the available stock', () => {
+  assert.throws(() => applyMovement(stock, { type: 'reservation', quantity: 7 }), {
+    status: 409,
+    message: 'Not enough stock available to reserve (6 available)'
+  });
+  assert.throws(() => applyMovement(stock, { type: 'release', quantity: 5 }), { status: 400 });
+});
+
+test('shipments take from reserved stock unless told otherwise', () => {
+  assert.deepStrictEqual(applyMovement(stock, { type: 'shipment', quantity: 4 }), { onHand: 6, reserved: 0 });
+  assert.throws(() => applyMovement(stock, { type: 'shipment', quantity: 5 }), { status: 409 });
+
+  assert.deepStrictEqual(applyMovement(stock, { type: 'shipment', quantity: 6, fromReservation: false }), { onHand: 4, reserved: 4 });
+  assert.throws(() => applyMovement(stock, { type: 'shipment', quantity: 7, fromReservation: false }), { status: 409 });
+});
+
+test('adjustments need a reason and cannot go below zero', () => {
+  assert.deepStrictEqual(applyMovement(stock, { type: 'adjustment', quantity: -3, reason: 'Damaged' }), { onHand: 7, reserved: 4 });
+  assert.throws(() => applyMovement(stock, { type: 'adjustment', quantity: -3 }), /reason is required/);
+  assert.throws(() => applyMovement(stock, { type: 'adjustment', quantity: 0, reason: 'Count' }), /cannot be zero/);
+  assert.throws(() => applyMovement(stock, { type: 'adjustment', quantity: -11, reason: 'Count' }), /negative quantity/);
+});
+
+test('other movements need a positive quantity and a known type', () => {
+  assert.throws(() => applyMovement(stock, { type: 'receipt', quantity: 0 }), { status: 400 });
+  assert.throws(() => applyMovement(stock, { type: 'receipt', quantity: -2 }), { status: 400 });
+  assert.throws(() => applyMovement(stock, { type: 'theft', quantity: 1 }), /Invalid movement type/);
+});
+
+// A stocked product without variants, as loaded from the database
+const loadProduct = () => Product.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  __v: 3,
+  name: 'Green Cardamom',
+  slug: 'green-cardamom',
+  description: 'Whole pods',
+  category: new mongoose.Types.ObjectId(),
+  image: 'https://example.com/cardamom.jpg',
+  quantityOnHand: 10,
+  quantityReserved: 0,
+  variants: []
+});
+
+const req = { user: { _id: new mongoose.Types.ObjectId() } };
+
+test('recordMovement saves the movement before updating the product', async (t) => {
+  const calls = [];
+  t.mock.method(Product, 'findById', async () => loadProduct());
+  t.mock.method(StockMovement, 'create', async (data) => {
+    calls.push('create');
+    return { _id: 'movement', ...data };
+  });
+  t.mock.method(Product, 'updateOne', async (filter, update) => {
+    calls.push('update');
+    assert.strictEqual(filter.__v, 3);
+    assert.strictEqual(update.$set.quantityOnHand, 15);
+    return { matchedCount: 1 };
+  });
+  t.mock.method(StockMovement, 'deleteOne', async () => calls.push('delete'));
+
+  const { movement } = await recordMovement({ productId: 'id', type: 'receipt', quantity: 5, req });
+
+  assert.deepStrictEqual(calls, ['create', 'update']);
+  assert.strictEqual(movement.quantityOnHandAfter, 15);
+  assert.strictEqual(movement.actor, req.user._id);
+});
+
+test('recordMovement removes the movement when the product changed underneath it', async (t) => {
+  const calls = [];
+  let updates = 0;
+  t.mock.method(Product, 'findById', async () => loadProduct());
+  t.mock.method(StockMovement, 'create', async () => {
+    calls.push('create');
+    return { _id: `movement-${calls.length}` };
+  });
+  t.mock.method(Product, 'updateOne', async () => {
+    calls.push('update');
+    return { matchedCount: ++updates === 1 ? 0 : 1 };
+  });
+  t.mock.method(StockMovement, 'deleteOne', async (filter) => calls.push(`delete ${filter._id}`));
+
+  await recordMovement({ productId: 'id', type: 'receipt', quantity: 5, req });
+
+  assert.deepStrictEqual(calls, ['create', 'update', 'delete movement-1', 'create', 'update']);
+});
+
+test('recordMovement removes the movement when the product update fails', async (t) => {
+  t.mock.method(Product, 'findById', async () => loadProduct());
+  t.mock.method(StockMovement, 'create', async () => ({ _id: 'movement' }));
+  t.mock.method(Product, 'updateOne', async () => {
+    throw new Error('connection lost');
+  });
+  const deleteOne = t.mock.method(StockMovement, 'deleteOne', async () => {});
+
+  await assert.rejects(recordMovement({ productId: 'id', type: 'receipt', quantity: 5, req }), /connection lost/);
+  assert.deepStrictEqual(deleteOne.mock.calls.map(call => call.arguments[0]), [{ _id: 'movement' }]);
+});
+
+test('recordMovement gives up after repeated conflicts', async (t) => {
+  t.mock.method(Product, 'findById', async () => loadProduct());
+  t.mock.method(StockMovement, 'create', async () => ({ _id: 'movement' }));
+  t.mock.method(Product, 'updateOne', async () => ({ matchedCount: 0 }));
+  const deleteOne = t.mock.method(StockMovement, 'deleteOne', async () => {});
+
+  await assert.rejects(recordMovement({ productId: 'id', type: 'receipt', quantity: 5, req }), { status: 409 });
+  assert.strictEqual(deleteOne.mock.callCount(), 3);
+});
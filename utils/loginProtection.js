@@ -0,0 +1,149 @@
+const User = require('../models/User');
+const LoginEvent = require('../models/LoginEvent');
+
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+const LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+const IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20;
+const IP_WINDOW_MINUTES = parseInt(process.env.LOGIN_IP_WINDOW_MINUTES) || 15;
+// Failures allowed before each further attempt has to wait
+const FREE_ATTEMPTS = 2;
+const MAX_DELAY_SECONDS = 60;
+
+// Record a login security event without letting logging break the login
+const logEvent = async (data) => {
+  try {
+    await LoginEvent.create(data);
+  } catch (error) {
+    console.error('Login event logging error:', error);
+  }
+};
+
+const requestInfo = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+// Seconds an account must wait before its next attempt: doubles with every
+// failure past the free attempts (1s, 2s, 4s, ...), capped at one minute
+const getProgressiveDelay = (failedAttempts) => {
+  if (failedAttempts <= FREE_ATTEMPTS) return 0;
+  return Math.min(2 ** (failedAttempts - FREE_ATTEMPTS - 1), MAX_DELAY_SECONDS);
+};
+
+// Check whether an IP has failed too many logins recently
+const checkIpThrottle = async (req) => {
+  const since = new Date(Date.now() - IP_WINDOW_MINUTES * 60 * 1000);
+  const failures = await LoginEvent.countDocuments({
+    ipAddress: req.ip,
+    type: 'login_failure',
+    createdAt: { $gte: since }
+  });
+
+  if (failures < IP_MAX_FAILURES) {
+    return { blocked: false };
+  }
+
+  await logEvent({ type: 'ip_blocked', reason: 'ip_limit', email: req.body.email, ...requestInfo(req) });
+  return { blocked: true, retryAfter: IP_WINDOW_MINUTES * 60 };
+};
+
+// Check whether an account is locked or still inside its progressive delay
+const checkAccountThrottle = (user) => {
+  const now = Date.now();
+
+  if (user.lockUntil && user.lockUntil.getTime() > now) {
+    return {
+      locked: true,
+      retryAfter: Math.ceil((user.lockUntil.getTime() - now) / 1000)
+    };
+  }
+
+  const delay = getProgressiveDelay(user.failedLoginAttempts);
+  if (delay > 0 && user.lastFailedLoginAt) {
+    const allowedAt = user.lastFailedLoginAt.getTime() + delay * 1000;
+    if (allowedAt > now) {
+      return {
+        throttled: true,
+        retryAfter: Math.ceil((allowedAt - now) / 1000)
+      };
+    }
+  }
+
+  return { locked: false, throttled: false };
+};
+
+// Count a failed attempt, locking the account once the limit is reached
+const recordFailedLogin = async (user, req, reason) => {
+  if (!user) {
+    await logEvent({ type: 'login_failure', reason, email: req.body.email, ...requestInfo(req) });
+    return { locked: false };
+  }
+
+  // Counted in one atomic update so parallel attempts can't overwrite each
+  // other's count. A lock that has run out starts a fresh count.
+  const now = new Date();
+  const lockExpired = {
+    $and: [{ $ne: [{ $ifNull: ['$lockUntil', null] }, null] }, { $lte: ['$lockUntil', now] }]
+  };
+  const updated = await User.findOneAndUpdate({ _id: user._id }, [{
+    $set: {
+      failedLoginAttempts: { $add: [{ $cond: [lockExpired, 0, { $ifNull: ['$failedLoginAttempts', 0] }] }, 1] },
+      lastFailedLoginAt: now,
+      lockUntil: { $cond: [lockExpired, null, '$lockUntil'] }
+    }
+  }], { new: true }).select('failedLoginAttempts');
+
+  const attempts = updated ? updated.failedLoginAttempts : 1;
+  const shouldLock = attempts >= MAX_FAILED_ATTEMPTS;
+  if (shouldLock) {
+    await User.updateOne({ _id: user._id }, { $set: { lockUntil: new Date(Date.now() + LOCK_MINUTES * 60 * 1000) } });
+  }
+
+  await logEvent({ type: 'login_failure', reason, user: user._id, email: user.email, ...requestInfo(req) });
+
+  if (shouldLock) {
+    await logEvent({ type: 'account_locked', reason: 'too_many_failures', user: user._id, email: user.email, ...requestInfo(req) });
+    return { locked: true, retryAfter: LOCK_MINUTES * 60 };
+  }
+
+  return { locked: false };
+};
+
+// Log an attempt rejected before credentials were checked
+const recordBlockedLogin = async (user, req, reason) => {
+  await logEvent({ type: 'login_failure', reason, user: user._id, email: user.email, ...requestInfo(req) });
+};
+
+// Clear failure counters after a successful login
+const recordSuccessfulLogin = async (user, req) => {
+  user.failedLoginAttempts = 0;
+  user.lastFailedLoginAt = undefined;
+  user.lockUntil = undefined;
+  await logEvent({ type: 'login_success', user: user._id, email: user.email, ...requestInfo(req) });
+};
+
+// Unlock an account on behalf of an owner
+const unlockAccount = async (user, req) => {
+  user.failedLoginAttempts = 0;
+  user.lastFailedLoginAt = undefined;
+  user.lockUntil = undefined;
+  await user.save();
+  await logEvent({
+    type: 'account_unlocked',
+    reason: 'manual',
+    user: user._id,
+    email: user.email,
+    performedBy: req.user._id,
+    ...requestInfo(req)
+  });
+};
+
+module.exports = {
+  getProgressiveDelay,
+  checkIpThrottle,
+  checkAccountThrottle,
+  recordFailedLogin,
+  recordBlockedLogin,
+  recordSuccessfulLogin,
+  unlockAccount
+};
@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { getProgressiveDelay, checkAccountThrottle } = require('./loginProtection');
+
+test('getProgressiveDelay allows the first failures without a delay', () => {
+  assert.strictEqual(getProgressiveDelay(0), 0);
+  assert.strictEqual(getProgressiveDelay(1), 0);
+  assert.strictEqual(getProgressiveDelay(2), 0);
+});
+
+test('getProgressiveDelay doubles with each further failure up to a minute', () => {
+  assert.deepStrictEqual([3, 4, 5, 6, 7, 8].map(getProgressiveDelay), [1, 2, 4, 8, 16, 32]);
+  assert.strictEqual(getProgressiveDelay(9), 60);
+  assert.strictEqual(getProgressiveDelay(50), 60);
+});
+
+test('checkAccountThrottle reports a lock until it expires', () => {
+  const result = checkAccountThrottle({ lockUntil: new Date(Date.now() + 90 * 1000), failedLoginAttempts: 5 });
+  assert.strictEqual(result.locked, true);
+  assert.ok(result.retryAfter > 85 && result.retryAfter <= 90);
+
+  const expired = checkAccountThrottle({ lockUntil: new Date(Date.now() - 1000), failedLoginAttempts: 0 });
+  assert.deepStrictEqual(expired, { locked: false, throttled: false });
+});
+
+test('checkAccountThrottle holds back attempts inside the progressive delay', () => {
+  const throttled = checkAccountThrottle({ failedLoginAttempts: 5, lastFailedLoginAt: new Date() });
+  assert.strictEqual(throttled.throttled, true);
+  assert.strictEqual(throttled.retryAfter, 4);
+
+  const waited = checkAccountThrottle({ failedLoginAttempts: 5, lastFailedLoginAt: new Date(Date.now() - 5000) });
+  assert.deepStrictEqual(waited, { locked: false, throttled: false });
+});
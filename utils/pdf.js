@@ -0,0 +1,261 @@
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const Contact = require('../models/Contact');
+
+// Branding shared by generated documents
+const BRAND = {
+  name: process.env.COMPANY_NAME || 'Herbs Dashboard',
+  color: process.env.PDF_BRAND_COLOR || '#2f6b3b',
+  text: '#222222',
+  muted: '#666666',
+  rule: '#dddddd'
+};
+
+// The built-in PDF fonts only cover Latin text. Arabic needs a TrueType font
+// with Arabic glyphs: PDF_FONT_PATH and PDF_BOLD_FONT_PATH, or DejaVu Sans
+// where the system has it.
+const UNICODE_FONT_CANDIDATES = [
+  [process.env.PDF_FONT_PATH, process.env.PDF_BOLD_FONT_PATH],
+  ['/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf', '/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf'],
+  ['/usr/share/fonts/dejavu/DejaVuSans.ttf', '/usr/share/fonts/dejavu/DejaVuSans-Bold.ttf']
+];
+
+const LATIN_FONTS = { regular: 'Helvetica', bold: 'Helvetica-Bold', italic: 'Helvetica-Oblique', rtl: false };
+
+const findUnicodeFont = () => {
+  const found = UNICODE_FONT_CANDIDATES.find(([regular]) => regular && fs.existsSync(regular));
+  if (!found) return null;
+  const [regular, bold] = found;
+  return { regular, bold: bold && fs.existsSync(bold) ? bold : regular };
+};
+
+// Register the fonts for a language on a document and return their names.
+// Throws with status 501 when Arabic is asked for but no font is available.
+const useLanguageFonts = (doc, lang) => {
+  if (lang !== 'ar') return LATIN_FONTS;
+
+  const font = findUnicodeFont();
+  if (!font) {
+    throw Object.assign(new Error('Arabic PDFs need a font with Arabic glyphs; set PDF_FONT_PATH'), { status: 501 });
+  }
+  doc.registerFont('Unicode', font.regular);
+  doc.registerFont('Unicode-Bold', font.bold);
+  return { regular: 'Unicode', bold: 'Unicode-Bold', italic: 'Unicode', rtl: true };
+};
+
+const PAGE_MARGINS = { top: 80, bottom: 70, left: 50, right: 50 };
+const IMAGE_TIMEOUT_MS = 10 * 1000;
+const MAX_IMAGE_BYTES = parseInt(process.env.PDF_MAX_IMAGE_BYTES) || 5 * 1024 * 1024;
+const IMAGE_CACHE_BYTES = 32 * 1024 * 1024;
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// PDFKit only embeds JPEG and PNG, so Cloudinary images are requested as
+// JPEG, scaled down to the size they are printed at. Only images on our
+// Cloudinary account are printed: product images can be any URL given on
+// import, and documents are generated for anonymous visitors.
+const toPrintableUrl = (url, width) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
+  const ownAccount = !cloudName || parsed.pathname.startsWith(`/${cloudName}/`);
+  if (parsed.protocol !== 'https:' || parsed.hostname !== 'res.cloudinary.com' || !ownAccount || !parsed.pathname.includes('/upload/')) {
+    return null;
+  }
+  return url.replace('/upload/', `/upload/f_jpg,q_80,w_${width}/`);
+};
+
+// Read a response body, giving up once it grows past MAX_IMAGE_BYTES
+const readLimited = async (response) => {
+  if (parseInt(response.headers.get('content-length')) > MAX_IMAGE_BYTES) return null;
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > MAX_IMAGE_BYTES) {
+      await response.body.cancel().catch(() => {});
+      return null;
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// Recently printed images by URL, least recently used first. Cloudinary URLs
+// carry a version, so an image behind a URL doesn't change.
+const imageCache = new Map();
+let imageCacheBytes = 0;
+
+const cacheImage = (url, buffer) => {
+  if (imageCache.has(url)) {
+    imageCacheBytes -= imageCache.get(url).length;
+    imageCache.delete(url);
+  }
+  imageCache.set(url, buffer);
+  imageCacheBytes += buffer.length;
+
+  while (imageCacheBytes > IMAGE_CACHE_BYTES) {
+    const [oldestUrl, oldest] = imageCache.entries().next().value;
+    imageCache.delete(oldestUrl);
+    imageCacheBytes -= oldest.length;
+  }
+};
+
+// Download an image for embedding. Returns null rather than failing the
+// document when the image is missing, slow, too large, hosted elsewhere or
+// in an unsupported format.
+const fetchImage = async (url, width = 600) => {
+  const printableUrl = url && toPrintableUrl(url, width);
+  if (!printableUrl) return null;
+
+  if (imageCache.has(printableUrl)) {
+    const cached = imageCache.get(printableUrl);
+    cacheImage(printableUrl, cached);
+    return cached;
+  }
+
+  try {
+    const response = await fetch(printableUrl, { signal: AbortSignal.timeout(IMAGE_TIMEOUT_MS) });
+    if (!response.ok) return null;
+
+    const buffer = await readLimited(response);
+    if (!buffer) return null;
+
+    const isJpeg = buffer[0] === 0xff && buffer[1] === 0xd8;
+    const isPng = buffer.subarray(0, 8).equals(PNG_SIGNATURE);
+    if (!isJpeg && !isPng) return null;
+
+    cacheImage(printableUrl, buffer);
+    return buffer;
+  } catch (error) {
+    console.error('Fetch image for PDF error:', error.message);
+    return null;
+  }
+};
+
+// Company phone, email and address for document footers
+const loadContactLine = async () => {
+  const contacts = await Contact.find({ type: { $in: ['phone', 'email', 'address'] } })
+    .sort({ createdAt: 1 })
+    .select('value')
+    .lean();
+  return contacts.map(contact => contact.value).join('  |  ');
+};
+
+// A4 document with room for the brand bar and footer added by decoratePages
+const createDocument = (title) => new PDFDocument({
+  size: 'A4',
+  margins: PAGE_MARGINS,
+  bufferPages: true,
+  info: { Title: title, Author: BRAND.name }
+});
+
+// Start a new page when less than height is left on the current one
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+};
+
+const drawSectionTitle = (doc, title) => {
+  ensureSpace(doc, 50);
+  doc.moveDown(0.8);
+  doc.font('Helvetica-Bold').fontSize(12).fillColor(BRAND.color).text(title.toUpperCase(), { characterSpacing: 0.5 });
+  const y = doc.y + 2;
+  doc.moveTo(doc.page.margins.left, y)
+    .lineTo(doc.page.width - doc.page.margins.right, y)
+    .lineWidth(0.5)
+    .strokeColor(BRAND.rule)
+    .stroke();
+  doc.moveDown(0.6);
+};
+
+// Two-column label/value table; rows without a value are left out
+const drawKeyValueTable = (doc, rows, { labelWidth = 150 } = {}) => {
+  const left = doc.page.margins.left;
+  const valueWidth = doc.page.width - doc.page.margins.right - left - labelWidth;
+
+  rows
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .forEach(([label, value]) => {
+      const text = String(value);
+      doc.font('Helvetica').fontSize(10);
+      const height = Math.max(doc.heightOfString(text, { width: valueWidth }), 12);
+      ensureSpace(doc, height + 6);
+
+      const y = doc.y;
+      doc.font('Helvetica-Bold').fillColor(BRAND.muted).text(label, left, y, { width: labelWidth - 10 });
+      doc.font('Helvetica').fillColor(BRAND.text).text(text, left + labelWidth, y, { width: valueWidth });
+      doc.x = left;
+      doc.y = y + height + 6;
+    });
+};
+
+// Add the brand bar and footer to every page. Call once all content is in.
+const decoratePages = (doc, { title, footer, fonts = LATIN_FONTS }) => {
+  const { start, count } = doc.bufferedPageRange();
+  const generated = `Generated ${new Date().toISOString().slice(0, 10)}`;
+
+  for (let index = start; index < start + count; index++) {
+    doc.switchToPage(index);
+    const { width, height, margins } = doc.page;
+
+    doc.rect(0, 0, width, 44).fill(BRAND.color);
+    doc.font(fonts.bold).fontSize(14).fillColor('#ffffff')
+      .text(BRAND.name, margins.left, 15, { lineBreak: false });
+    doc.font(fonts.regular).fontSize(10)
+      .text(title, margins.left, 18, { width: width - margins.left - margins.right, align: 'right', lineBreak: false });
+
+    // Text below the bottom margin would otherwise start a new page
+    const bottomMargin = margins.bottom;
+    margins.bottom = 0;
+    const footerY = height - bottomMargin + 25;
+    doc.font(fonts.regular).fontSize(8).fillColor(BRAND.muted);
+    if (footer) {
+      doc.text(footer, margins.left, footerY, { width: width - margins.left - margins.right, align: 'center', lineBreak: false });
+    }
+    doc.text(`${generated}  |  Page ${index - start + 1} of ${count}`, margins.left, footerY + 12, {
+      width: width - margins.left - margins.right,
+      align: 'center',
+      lineBreak: false
+    });
+    margins.bottom = bottomMargin;
+  }
+};
+
+// Send a finished document as a PDF response
+const sendDocument = (res, doc, filename, disposition = 'inline') => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `${disposition}; filename="${filename}.pdf"`);
+  doc.pipe(res);
+  doc.end();
+};
+
+// Collect a finished document into a buffer
+const toBuffer = (doc) => new Promise((resolve, reject) => {
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  doc.end();
+});
+
+module.exports = {
+  BRAND,
+  LATIN_FONTS,
+  useLanguageFonts,
+  fetchImage,
+  loadContactLine,
+  createDocument,
+  ensureSpace,
+  drawSectionTitle,
+  drawKeyValueTable,
+  decoratePages,
+  sendDocument,
+  toBuffer
+};
@@ -0,0 +1,251 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const { logAuditEntries } = require('../middleware/audit');
+const { buildProductFilter } = require('./productFilters');
+const { hasAccess } = require('../middleware/auth');
+const { diffObjects } = require('./diff');
+const { takeSnapshot, recordRevision } = require('./productRevisions');
+const { PRODUCT_STATUSES } = require('./publishing');
+
+const BULK_ACTIONS = ['set', 'addTags', 'removeTags', 'changeCategory', 'delete'];
+const SETTABLE_FIELDS = ['featured', 'origin', 'price', 'lowStockThreshold', 'onRequest', 'status'];
+const MAX_BULK_ITEMS = 500;
+
+const bulkError = (message) => Object.assign(new Error(message), { status: 400 });
+
+const toBoolean = (value, field) => {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  throw bulkError(`${field} must be true or false`);
+};
+
+// Empty values clear an optional number
+const toOptionalNumber = (value, field) => {
+  if (value === null || value === '') return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw bulkError(`${field} must be a non-negative number`);
+  }
+  return number;
+};
+
+const normalizeTags = (tags) => {
+  if (!Array.isArray(tags) || tags.length === 0 || tags.some(tag => typeof tag !== 'string' || !tag.trim())) {
+    throw bulkError('Tags must be a non-empty list of strings');
+  }
+  return tags.map(tag => tag.trim());
+};
+
+// Check the requested operation up front, before touching any product, and
+// return a function that applies it to one product document
+const prepareOperation = async (req, { action, fields, tags, category }) => {
+  switch (action) {
+    case 'set': {
+      if (!fields || typeof fields !== 'object' || Object.keys(fields).length === 0) {
+        throw bulkError('Fields to set are required');
+      }
+      if (fields.inStock !== undefined) {
+        throw bulkError('inStock is derived from stock levels; record stock movements or set onRequest instead');
+      }
+      const unknown = Object.keys(fields).filter(field => !SETTABLE_FIELDS.includes(field));
+      if (unknown.length > 0) {
+        throw bulkError(`Fields cannot be set in bulk: ${unknown.join(', ')}`);
+      }
+
+      const updates = {};
+      if (fields.featured !== undefined) updates.featured = toBoolean(fields.featured, 'featured');
+      if (fields.origin !== undefined) updates.origin = fields.origin ? String(fields.origin).trim() : undefined;
+      if (fields.price !== undefined) updates.price = toOptionalNumber(fields.price, 'price');
+      if (fields.lowStockThreshold !== undefined) updates.lowStockThreshold = toOptionalNumber(fields.lowStockThreshold, 'lowStockThreshold');
+      if (fields.onRequest !== undefined) {
+        // Clearing the status lets it be derived from quantities again
+        updates.stockStatus = toBoolean(fields.onRequest, 'onRequest') ? 'on_request' : undefined;
+      }
+      if (fields.status !== undefined) {
+        if (!PRODUCT_STATUSES.includes(fields.status)) {
+          throw bulkError('status must be one of: ' + PRODUCT_STATUSES.join(', '));
+        }
+        if (!hasAccess(req, 'products:publish')) {
+          throw Object.assign(new Error('Access denied. Changing status in bulk needs the products:publish permission.'), { status: 403 });
+        }
+        updates.status = fields.status;
+      }
+
+      return (product) => {
+        // The price of a product with variants is its lowest variant price
+        if ('price' in updates && product.variants.length > 0) {
+          throw new Error('Price comes from the variant prices for products with variants');
+        }
+        Object.entries(updates).forEach(([field, value]) => {
+          if (field === 'stockStatus' && value === undefined && product.stockStatus !== 'on_request') return;
+          product[field] = value;
+        });
+      };
+    }
+
+    case 'addTags': {
+      const newTags = normalizeTags(tags);
+      return (product) => {
+        const existing = product.tags.map(tag => tag.toLowerCase());
+        newTags
+          .filter((tag, index) => !existing.includes(tag.toLowerCase()) &&
+            newTags.findIndex(other => other.toLowerCase() === tag.toLowerCase()) === index)
+          .forEach(tag => product.tags.push(tag));
+      };
+    }
+
+    case 'removeTags': {
+      const removed = normalizeTags(tags).map(tag => tag.toLowerCase());
+      return (product) => {
+        const kept = product.tags.filter(tag => !removed.includes(tag.toLowerCase()));
+        if (kept.length !== product.tags.length) product.tags = kept;
+      };
+    }
+
+    case 'changeCategory': {
+      if (!category || !mongoose.Types.ObjectId.isValid(category)) {
+        throw bulkError('A valid target category ID is required');
+      }
+      const target = await Category.findById(category);
+      if (!target) {
+        throw bulkError('Target category not found');
+      }
+      if (!target.isActive) {
+        throw bulkError('Target category is inactive');
+      }
+      return (product) => {
+        if (!product.category || !product.category.equals(target._id)) {
+          product.category = target._id;
+        }
+      };
+    }
+
+    case 'delete':
+      return null;
+
+    default:
+      throw bulkError('Action must be one of: ' + BULK_ACTIONS.join(', '));
+  }
+};
+
+// Resolve the products to act on from a list of IDs or a list-style filter
+const selectProductIds = async ({ ids, filter }) => {
+  if (ids) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+      throw bulkError('ids must be a non-empty list');
+    }
+    if (ids.length > MAX_BULK_ITEMS) {
+      throw bulkError(`At most ${MAX_BULK_ITEMS} products can be changed at once`);
+    }
+    return [...new Set(ids.map(String))];
+  }
+
+  if (!filter || typeof filter !== 'object' || Object.keys(filter).length === 0) {
+    throw bulkError('Provide either ids or a filter with at least one condition');
+  }
+
+  // Filters use the same string values as the GET /api/products query
+  const query = {};
+  Object.entries(filter).forEach(([key, value]) => {
+    query[key] = String(value);
+  });
+
+  let productFilter;
+  try {
+    productFilter = buildProductFilter(query);
+  } catch (error) {
+    throw bulkError(error.message);
+  }
+
+  const products = await Product.find(productFilter)
+    .select('_id')
+    .limit(MAX_BULK_ITEMS + 1)
+    .lean();
+
+  if (products.length > MAX_BULK_ITEMS) {
+    throw bulkError(`The filter matches more than ${MAX_BULK_ITEMS} products, narrow it down`);
+  }
+
+  return products.map(product => product._id.toString());
+};
+
+const describeError = (error) => {
+  if (error.name === 'ValidationError') {
+    return Object.values(error.errors).map(err => err.message).join('; ');
+  }
+  return error.message;
+};
+
+// Apply an operation to each product in turn, reporting the outcome per item
+const runBulkAction = async (req, { action, ids, filter, fields, tags, category }) => {
+  const apply = await prepareOperation(req, { action, fields, tags, category });
+  const productIds = await selectProductIds({ ids, filter });
+
+  const results = [];
+  const auditEntries = [];
+
+  for (const id of productIds) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      results.push({ id, status: 'failed', error: 'Invalid product ID' });
+      continue;
+    }
+
+    try {
+      const product = await Product.findById(id);
+      if (!product) {
+        results.push({ id, status: 'not_found' });
+        continue;
+      }
+
+      if (action === 'delete') {
+        // Images stay on Cloudinary until the product is purged from the trash
+        await product.softDelete(req.user._id);
+        auditEntries.push({ action: 'delete', entityType: 'product', entityId: product._id, entityName: product.name });
+        results.push({ id, name: product.name, status: 'deleted' });
+        continue;
+      }
+
+      const before = product.toObject();
+      const snapshot = takeSnapshot(product);
+      apply(product);
+
+      if (!product.isModified()) {
+        results.push({ id, name: product.name, status: 'unchanged' });
+        continue;
+      }
+
+      await product.save();
+      await recordRevision(req, product, snapshot, { action: `bulk_${action}` });
+      const changes = diffObjects(before, product.toObject());
+      auditEntries.push({ action: `bulk_${action}`, entityType: 'product', entityId: product._id, entityName: product.name, changes });
+      results.push({ id, name: product.name, status: 'updated' });
+
+    } catch (error) {
+      results.push({ id, status: 'failed', error: describeError(error) });
+    }
+  }
+
+  await logAuditEntries(req, auditEntries);
+
+  const count = (status) => results.filter(result => result.status === status).length;
+  return {
+    summary: {
+      requested: productIds.length,
+      updated: count('updated'),
+      unchanged: count('unchanged'),
+      deleted: count('deleted'),
+      notFound: count('not_found'),
+      failed: count('failed')
+    },
+    results
+  };
+};
+
+module.exports = {
+  BULK_ACTIONS,
+  SETTABLE_FIELDS,
+  MAX_BULK_ITEMS,
+  prepareOperation,
+  runBulkAction
+};
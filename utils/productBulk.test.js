@@ -0,0 +1,121 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const { prepareOperation } = require('./productBulk');
+
+const userWith = (...permissions) => ({ user: { can: permission => permissions.includes(permission) } });
+const editor = userWith('products:write');
+const publisher = userWith('products:write', 'products:publish');
+
+const loadProduct = (fields = {}) => Product.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Cinnamon',
+  slug: 'cinnamon',
+  category: new mongoose.Types.ObjectId(),
+  tags: ['Spice', 'bark'],
+  variants: [],
+  ...fields
+});
+
+test('set converts values and applies them', async () => {
+  const apply = await prepareOperation(editor, {
+    action: 'set',
+    fields: { featured: 'true', origin: ' Sri Lanka ', price: '12.5', lowStockThreshold: '' }
+  });
+  const product = loadProduct({ lowStockThreshold: 5 });
+
+  apply(product);
+
+  assert.strictEqual(product.featured, true);
+  assert.strictEqual(product.origin, 'Sri Lanka');
+  assert.strictEqual(product.price, 12.5);
+  assert.strictEqual(product.lowStockThreshold, undefined);
+});
+
+test('set rejects fields that cannot be changed in bulk', async () => {
+  await assert.rejects(prepareOperation(editor, { action: 'set', fields: {} }), { status: 400, message: 'Fields to set are required' });
+  await assert.rejects(prepareOperation(editor, { action: 'set', fields: { inStock: true } }), /inStock is derived/);
+  await assert.rejects(prepareOperation(editor, { action: 'set', fields: { name: 'x', slug: 'y' } }), /cannot be set in bulk: name, slug/);
+  await assert.rejects(prepareOperation(editor, { action: 'set', fields: { featured: 'maybe' } }), /featured must be true or false/);
+  await assert.rejects(prepareOperation(editor, { action: 'set', fields: { price: -1 } }), /price must be a non-negative number/);
+});
+
+test('set refuses a price for products with variants', async () => {
+  const apply = await prepareOperation(editor, { action: 'set', fields: { price: 10 } });
+  const product = loadProduct({ variants: [{ sku: 'CIN-1', packSize: 100, packUnit: 'g', price: 4 }] });
+
+  assert.throws(() => apply(product), /Price comes from the variant prices/);
+});
+
+test('changing status in bulk needs the publish permission', async () => {
+  await assert.rejects(prepareOperation(editor, { action: 'set', fields: { status: 'published' } }), { status: 403 });
+  await assert.rejects(prepareOperation(publisher, { action: 'set', fields: { status: 'gone' } }), { status: 400 });
+
+  const apply = await prepareOperation(publisher, { action: 'set', fields: { status: 'archived' } });
+  const product = loadProduct();
+  apply(product);
+  assert.strictEqual(product.status, 'archived');
+});
+
+test('onRequest switches products to and from on request', async () => {
+  const onRequest = await prepareOperation(editor, { action: 'set', fields: { onRequest: true } });
+  const notOnRequest = await prepareOperation(editor, { action: 'set', fields: { onRequest: 'false' } });
+
+  const product = loadProduct({ stockStatus: 'low_stock' });
+  notOnRequest(product);
+  assert.strictEqual(product.stockStatus, 'low_stock');
+
+  onRequest(product);
+  assert.strictEqual(product.stockStatus, 'on_request');
+
+  notOnRequest(product);
+  assert.strictEqual(product.stockStatus, undefined);
+});
+
+test('addTags skips tags the product already has, ignoring case', async () => {
+  const apply = await prepareOperation(editor, { action: 'addTags', tags: [' spice ', 'Organic', 'organic'] });
+  const product = loadProduct();
+
+  apply(product);
+
+  assert.deepStrictEqual([...product.tags], ['Spice', 'bark', 'Organic']);
+});
+
+test('removeTags removes tags ignoring case and leaves other products unchanged', async () => {
+  const apply = await prepareOperation(editor, { action: 'removeTags', tags: ['SPICE'] });
+
+  const tagged = loadProduct();
+  apply(tagged);
+  assert.deepStrictEqual([...tagged.tags], ['bark']);
+
+  const untagged = loadProduct({ tags: ['tea'] });
+  apply(untagged);
+  assert.strictEqual(untagged.isModified(), false);
+});
+
+test('tag actions need a list of tags', async () => {
+  await assert.rejects(prepareOperation(editor, { action: 'addTags', tags: [] }), /non-empty list of strings/);
+  await assert.rejects(prepareOperation(editor, { action: 'removeTags', tags: ['ok', ' '] }), /non-empty list of strings/);
+});
+
+test('changeCategory checks the target category', async (t) => {
+  const target = { _id: new mongoose.Types.ObjectId(), isActive: true };
+  const inactive = { _id: new mongoose.Types.ObjectId(), isActive: false };
+  t.mock.method(Category, 'findById', async (id) => [target, inactive].find(category => category._id.equals(id)) || null);
+
+  await assert.rejects(prepareOperation(editor, { action: 'changeCategory', category: 'nope' }), /valid target category ID/);
+  await assert.rejects(prepareOperation(editor, { action: 'changeCategory', category: new mongoose.Types.ObjectId().toString() }), /not found/);
+  await assert.rejects(prepareOperation(editor, { action: 'changeCategory', category: inactive._id.toString() }), /inactive/);
+
+  const apply = await prepareOperation(editor, { action: 'changeCategory', category: target._id.toString() });
+  const product = loadProduct();
+  apply(product);
+  assert.ok(product.category.equals(target._id));
+});
+
+test('delete needs no operation and unknown actions are rejected', async () => {
+  assert.strictEqual(await prepareOperation(editor, { action: 'delete' }), null);
+  await assert.rejects(prepareOperation(editor, { action: 'rename' }), /Action must be one of/);
+});
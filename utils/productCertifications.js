@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const Certificate = require('../models/Certificate');
+
+// Certificate fields shown on products
+const CERTIFICATE_FIELDS = 'name category issuer certificateNumber issueDate expiryDate isActive translations';
+
+// Read certificate IDs from a request body: an array, a JSON array string
+// (multipart forms) or a comma-separated list. An empty value clears them.
+// Throws with status 400 for malformed IDs or certificates that don't exist.
+const parseCertifications = async (value) => {
+  if (value === '' || value === null) return [];
+
+  let ids = value;
+  if (typeof value === 'string') {
+    ids = value.trim().startsWith('[') ? JSON.parse(value) : value.split(',');
+  }
+  if (!Array.isArray(ids)) {
+    throw Object.assign(new Error('Certifications must be a list of certificate IDs'), { status: 400 });
+  }
+
+  ids = [...new Set(ids.map(id => String(id).trim()).filter(Boolean))];
+  const invalid = ids.filter(id => !mongoose.Types.ObjectId.isValid(id));
+  if (invalid.length > 0) {
+    throw Object.assign(new Error(`Invalid certificate IDs: ${invalid.join(', ')}`), { status: 400 });
+  }
+
+  const found = await Certificate.find({ _id: { $in: ids } }).distinct('_id');
+  const missing = ids.filter(id => !found.some(foundId => foundId.equals(id)));
+  if (missing.length > 0) {
+    throw Object.assign(new Error(`Certificates not found: ${missing.join(', ')}`), { status: 400 });
+  }
+
+  return ids;
+};
+
+// Flag expired certificates on a plain product with populated certifications.
+// Certificates removed since they were cited populate as null and are dropped.
+const flagCertifications = (product, now = new Date()) => {
+  if (!Array.isArray(product.certifications)) return product;
+
+  product.certifications = product.certifications
+    .filter(Boolean)
+    .map(certificate => (certificate instanceof mongoose.Types.ObjectId
+      ? certificate
+      : { ...certificate, isExpired: Certificate.isExpired(certificate, now) }));
+  product.hasExpiredCertifications = product.certifications.some(certificate => certificate.isExpired === true);
+  return product;
+};
+
+module.exports = {
+  CERTIFICATE_FIELDS,
+  parseCertifications,
+  flagCertifications
+};
@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Certificate = require('../models/Certificate');
+const { parseCertifications, flagCertifications } = require('./productCertifications');
+
+const organic = new mongoose.Types.ObjectId().toString();
+const haccp = new mongoose.Types.ObjectId().toString();
+
+// Stand in for the certificates stored in the database
+const mockCertificates = (t, existing) => {
+  t.mock.method(Certificate, 'find', ({ _id: { $in: ids } }) => ({
+    distinct: async () => ids.filter(id => existing.includes(id)).map(id => new mongoose.Types.ObjectId(id))
+  }));
+};
+
+test('parseCertifications reads arrays, JSON arrays and comma-separated lists', async (t) => {
+  mockCertificates(t, [organic, haccp]);
+
+  assert.deepStrictEqual(await parseCertifications([organic, haccp]), [organic, haccp]);
+  assert.deepStrictEqual(await parseCertifications(JSON.stringify([organic])), [organic]);
+  assert.deepStrictEqual(await parseCertifications(` ${organic} , ${haccp},${organic},`), [organic, haccp]);
+});
+
+test('parseCertifications clears the list for empty values', async () => {
+  assert.deepStrictEqual(await parseCertifications(''), []);
+  assert.deepStrictEqual(await parseCertifications(null), []);
+});
+
+test('parseCertifications rejects malformed and unknown certificates', async (t) => {
+  mockCertificates(t, [organic]);
+
+  await assert.rejects(parseCertifications({ id: organic }), { status: 400, message: 'Certifications must be a list of certificate IDs' });
+  await assert.rejects(parseCertifications(`${organic},EU Organic`), { status: 400, message: 'Invalid certificate IDs: EU Organic' });
+  await assert.rejects(parseCertifications([organic, haccp]), { status: 400, message: `Certificates not found: ${haccp}` });
+});
+
+test('flagCertifications marks expired certificates and drops removed ones', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+  const product = flagCertifications({
+    certifications: [
+      { name: 'EU Organic', expiryDate: new Date('2027-01-01') },
+      null,
+      { name: 'HACCP', expiryDate: new Date('2026-10-01') },
+      { name: 'Kosher' }
+    ]
+  }, now);
+
+  assert.deepStrictEqual(product.certifications.map(({ name, isExpired }) => [name, isExpired]), [
+    ['EU Organic', false],
+    ['HACCP', true],
+    ['Kosher', false]
+  ]);
+  assert.strictEqual(product.hasExpiredCertifications, true);
+});
+
+test('flagCertifications leaves unpopulated IDs and products without certifications alone', () => {
+  const id = new mongoose.Types.ObjectId();
+  const product = flagCertifications({ certifications: [id] });
+
+  assert.deepStrictEqual(product.certifications, [id]);
+  assert.strictEqual(product.hasExpiredCertifications, false);
+  assert.deepStrictEqual(flagCertifications({ name: 'Cumin' }), { name: 'Cumin' });
+});
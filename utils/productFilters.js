@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+
+const PACK_UNITS = Product.schema.path('variants').schema.path('packUnit').enumValues;
+const STOCK_STATUSES = Product.schema.path('variants').schema.path('stockStatus').enumValues;
+const PRODUCT_STATUSES = Product.schema.path('status').enumValues;
+const SPEC_FORMS = Product.schema.path('specifications').schema.path('form').enumValues;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Sort options accepted by the product list and export (prefix with - for descending)
+const SORT_FIELDS = {
+  createdAt: 'createdAt',
+  name: 'name',
+  price: 'price',
+  packSize: 'variants.baseSize',
+  moq: 'variants.moq'
+};
+
+const parseSort = (sort) => {
+  if (!sort) return { createdAt: -1 };
+
+  const descending = sort.startsWith('-');
+  const field = SORT_FIELDS[descending ? sort.slice(1) : sort];
+  if (!field) return null;
+
+  return { [field]: descending ? -1 : 1, _id: 1 };
+};
+
+const parseNumber = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : NaN;
+};
+
+// Conditions that products without variants can meet with their own fields
+const PRODUCT_LEVEL_FIELDS = ['price', 'stockStatus'];
+
+// Build the variant conditions for GET /api/products. They go in a single
+// $elemMatch so that all of them have to hold for the same variant. Price
+// and stock status filters also match products without variants on their
+// own price and stock status.
+const buildVariantFilter = (query) => {
+  const { sku, packUnit, stockStatus, sizeUnit } = query;
+  const minPrice = parseNumber(query.minPrice);
+  const maxPrice = parseNumber(query.maxPrice);
+  const minPackSize = parseNumber(query.minPackSize);
+  const maxPackSize = parseNumber(query.maxPackSize);
+  const maxMoq = parseNumber(query.maxMoq);
+
+  if ([minPrice, maxPrice, minPackSize, maxPackSize, maxMoq].some(Number.isNaN)) {
+    throw new Error('Price, pack size and MOQ filters must be numbers');
+  }
+  if (packUnit && !PACK_UNITS.includes(packUnit)) {
+    throw new Error('Invalid pack unit');
+  }
+  if (sizeUnit && !PACK_UNITS.includes(sizeUnit)) {
+    throw new Error('Invalid size unit');
+  }
+  if (stockStatus && stockStatus.split(',').some(status => !STOCK_STATUSES.includes(status))) {
+    throw new Error('Invalid stock status');
+  }
+
+  const match = {};
+
+  if (sku) match.sku = sku.trim().toUpperCase();
+  if (packUnit) match.packUnit = packUnit;
+  if (stockStatus) match.stockStatus = { $in: stockStatus.split(',') };
+
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    match.price = {};
+    if (minPrice !== undefined) match.price.$gte = minPrice;
+    if (maxPrice !== undefined) match.price.$lte = maxPrice;
+  }
+
+  // Pack size bounds are given in sizeUnit, or packUnit, defaulting to grams
+  if (minPackSize !== undefined || maxPackSize !== undefined) {
+    const unit = sizeUnit || packUnit || 'g';
+    match.baseSize = {};
+    if (minPackSize !== undefined) match.baseSize.$gte = Product.toBaseSize(minPackSize, unit);
+    if (maxPackSize !== undefined) match.baseSize.$lte = Product.toBaseSize(maxPackSize, unit);
+  }
+
+  if (maxMoq !== undefined) match.moq = { $lte: maxMoq };
+
+  if (Object.keys(match).length === 0) return null;
+
+  const variantFilter = { variants: { $elemMatch: match } };
+  if (!Object.keys(match).every(field => PRODUCT_LEVEL_FIELDS.includes(field))) {
+    return variantFilter;
+  }
+
+  return {
+    $or: [
+      variantFilter,
+      { 'variants.0': { $exists: false }, ...match }
+    ]
+  };
+};
+
+// Build the specification conditions for GET /api/products. Limits follow the
+// direction buyers care about: at most so much moisture and ash, at least so
+// much volatile oil, purity and shelf life.
+const buildSpecificationFilter = (query) => {
+  const { hsCode, botanicalName, form } = query;
+  const limits = {
+    moisturePercent: ['$lte', parseNumber(query.maxMoisture)],
+    ashPercent: ['$lte', parseNumber(query.maxAsh)],
+    volatileOilPercent: ['$gte', parseNumber(query.minVolatileOil)],
+    purityPercent: ['$gte', parseNumber(query.minPurity)],
+    shelfLifeMonths: ['$gte', parseNumber(query.minShelfLifeMonths)]
+  };
+
+  if (Object.values(limits).some(([, value]) => Number.isNaN(value))) {
+    throw new Error('Specification filters must be numbers');
+  }
+  if (form && form.split(',').some(value => !SPEC_FORMS.includes(value))) {
+    throw new Error('Invalid form');
+  }
+
+  const filter = {};
+
+  // HS codes match on their leading digits, e.g. 0909 for the whole heading.
+  // Stored codes may have dots after the 4th, 6th and 8th digit.
+  if (hsCode) {
+    const digits = hsCode.replace(/\D/g, '');
+    if (!digits) throw new Error('HS code filter must contain digits');
+    filter['specifications.hsCode'] = new RegExp('^' + digits.split('')
+      .map((digit, index) => ([4, 6, 8].includes(index) ? '\\.?' : '') + digit)
+      .join(''));
+  }
+  if (botanicalName) {
+    filter['specifications.botanicalName'] = new RegExp(escapeRegex(botanicalName.trim()), 'i');
+  }
+  if (form) {
+    filter['specifications.form'] = { $in: form.split(',') };
+  }
+
+  Object.entries(limits).forEach(([field, [operator, value]]) => {
+    if (value !== undefined) filter[`specifications.${field}`] = { [operator]: value };
+  });
+
+  return filter;
+};
+
+// Build the product query shared by GET /api/products and the catalog export.
+// Throws with a message suitable for a 400 response on invalid filters.
+const buildProductFilter = (query) => {
+  const { category, certificate, search, featured, inStock, status } = query;
+  const filter = {};
+
+  if (status) {
+    if (status.split(',').some(value => !PRODUCT_STATUSES.includes(value))) {
+      throw new Error('Invalid status');
+    }
+    filter.status = { $in: status.split(',') };
+  }
+
+  if (category && mongoose.Types.ObjectId.isValid(category)) {
+    filter.category = category;
+  }
+
+  // Products citing any of the given certificates
+  if (certificate) {
+    const certificates = certificate.split(',');
+    if (certificates.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      throw new Error('Invalid certificate ID');
+    }
+    filter.certifications = { $in: certificates };
+  }
+
+  if (featured !== undefined) {
+    filter.featured = featured === 'true';
+  }
+
+  if (inStock !== undefined) {
+    filter.inStock = inStock === 'true';
+  }
+
+  if (search) {
+    filter.$text = { $search: search };
+  }
+
+  const variantFilter = buildVariantFilter(query);
+  if (variantFilter) {
+    Object.assign(filter, variantFilter);
+  }
+
+  Object.assign(filter, buildSpecificationFilter(query));
+
+  return filter;
+};
+
+module.exports = {
+  SORT_FIELDS,
+  parseSort,
+  buildProductFilter
+};
@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseSort, buildProductFilter } = require('./productFilters');
+
+test('parseSort defaults to newest first and rejects unknown fields', () => {
+  assert.deepStrictEqual(parseSort(undefined), { createdAt: -1 });
+  assert.deepStrictEqual(parseSort('-packSize'), { 'variants.baseSize': -1, _id: 1 });
+  assert.deepStrictEqual(parseSort('name'), { name: 1, _id: 1 });
+  assert.strictEqual(parseSort('password'), null);
+});
+
+test('variant conditions share one $elemMatch', () => {
+  const filter = buildProductFilter({ packUnit: 'kg', minPackSize: '1', maxPackSize: '5', maxMoq: '10', sku: ' ab-1 ' });
+
+  assert.deepStrictEqual(filter, {
+    variants: {
+      $elemMatch: {
+        sku: 'AB-1',
+        packUnit: 'kg',
+        baseSize: { $gte: 1000, $lte: 5000 },
+        moq: { $lte: 10 }
+      }
+    }
+  });
+});
+
+test('pack sizes are converted from sizeUnit before packUnit, defaulting to grams', () => {
+  assert.deepStrictEqual(buildProductFilter({ minPackSize: '250' }).variants.$elemMatch.baseSize, { $gte: 250 });
+  assert.deepStrictEqual(buildProductFilter({ minPackSize: '2', sizeUnit: 'kg', packUnit: 'g' }).variants.$elemMatch.baseSize, { $gte: 2000 });
+});
+
+test('price and stock filters also match products without variants', () => {
+  const filter = buildProductFilter({ minPrice: '5', maxPrice: '20', stockStatus: 'in_stock,low_stock' });
+  const match = { stockStatus: { $in: ['in_stock', 'low_stock'] }, price: { $gte: 5, $lte: 20 } };
+
+  assert.deepStrictEqual(filter, {
+    $or: [
+      { variants: { $elemMatch: match } },
+      { 'variants.0': { $exists: false }, ...match }
+    ]
+  });
+});
+
+test('variant-only conditions leave out products without variants', () => {
+  const filter = buildProductFilter({ minPrice: '5', packUnit: 'g' });
+  assert.strictEqual(filter.$or, undefined);
+  assert.deepStrictEqual(filter.variants.$elemMatch, { packUnit: 'g', price: { $gte: 5 } });
+});
+
+test('HS codes match on leading digits with optional dots', () => {
+  const { 'specifications.hsCode': pattern } = buildProductFilter({ hsCode: '0909.31' });
+
+  assert.ok(pattern.test('0909.31.00'));
+  assert.ok(pattern.test('09093100'));
+  assert.ok(!pattern.test('0910.31'));
+  assert.ok(!pattern.test('10909.31'));
+});
+
+test('specification limits follow the direction buyers care about', () => {
+  const filter = buildProductFilter({ maxMoisture: '10', minPurity: '99', form: 'whole,powder', botanicalName: 'Elettaria (green)' });
+
+  assert.deepStrictEqual(filter['specifications.moisturePercent'], { $lte: 10 });
+  assert.deepStrictEqual(filter['specifications.purityPercent'], { $gte: 99 });
+  assert.deepStrictEqual(filter['specifications.form'], { $in: ['whole', 'powder'] });
+  assert.ok(filter['specifications.botanicalName'].test('elettaria (Green) cardamomum'));
+});
+
+test('product level filters', () => {
+  const certificate = '64b7f0c2a1b2c3d4e5f60718';
+  const filter = buildProductFilter({ status: 'draft,published', certificate, featured: 'true', inStock: 'false', search: 'saffron' });
+
+  assert.deepStrictEqual(filter, {
+    status: { $in: ['draft', 'published'] },
+    certifications: { $in: [certificate] },
+    featured: true,
+    inStock: false,
+    $text: { $search: 'saffron' }
+  });
+});
+
+test('invalid filters throw messages for a 400 response', () => {
+  assert.throws(() => buildProductFilter({ minPrice: 'cheap' }), /must be numbers/);
+  assert.throws(() => buildProductFilter({ packUnit: 'bushel' }), /Invalid pack unit/);
+  assert.throws(() => buildProductFilter({ stockStatus: 'in_stock,gone' }), /Invalid stock status/);
+  assert.throws(() => buildProductFilter({ status: 'archived,lost' }), /Invalid status/);
+  assert.throws(() => buildProductFilter({ certificate: 'not-an-id' }), /Invalid certificate ID/);
+  assert.throws(() => buildProductFilter({ hsCode: 'abc' }), /must contain digits/);
+  assert.throws(() => buildProductFilter({ form: 'liquid' }), /Invalid form/);
+  assert.throws(() => buildProductFilter({ minPurity: 'high' }), /must be numbers/);
+});
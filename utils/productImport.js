@@ -0,0 +1,240 @@
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Certificate = require('../models/Certificate');
+const { PLACEHOLDER_IMAGE } = require('../config/cloudinary');
+
+// Product fields that can be imported, with the column headers recognised
+// for each when no explicit mapping is given
+const IMPORT_FIELDS = [
+  { field: 'name', type: 'string', aliases: ['product', 'product name', 'title'] },
+  { field: 'description', type: 'string', aliases: ['desc'] },
+  { field: 'category', type: 'category', aliases: ['category name', 'category slug'] },
+  { field: 'price', type: 'number', aliases: [] },
+  { field: 'tags', type: 'list', aliases: ['tag'] },
+  { field: 'certifications', type: 'certificates', aliases: ['certification', 'certificates'] },
+  { field: 'origin', type: 'string', aliases: ['country of origin'] },
+  { field: 'featured', type: 'boolean', aliases: [] },
+  { field: 'slug', type: 'string', aliases: [] },
+  { field: 'image', type: 'string', aliases: ['image url'] },
+  { field: 'metaTitle', type: 'string', aliases: [] },
+  { field: 'metaDescription', type: 'string', aliases: [] },
+  { field: 'ogImage', type: 'string', aliases: ['og image url'] },
+  { field: 'lowStockThreshold', type: 'number', aliases: [] },
+  { field: 'specifications.hsCode', type: 'string', aliases: ['hs code', 'hs'] },
+  { field: 'specifications.botanicalName', type: 'string', aliases: ['botanical name', 'latin name'] },
+  { field: 'specifications.moisturePercent', type: 'number', aliases: ['moisture', 'moisture percent'] },
+  { field: 'specifications.ashPercent', type: 'number', aliases: ['ash', 'total ash', 'ash percent'] },
+  { field: 'specifications.volatileOilPercent', type: 'number', aliases: ['volatile oil', 'volatile oil percent'] },
+  { field: 'specifications.purityPercent', type: 'number', aliases: ['purity', 'purity percent'] },
+  { field: 'specifications.form', type: 'string', aliases: ['form'] },
+  { field: 'specifications.storageConditions', type: 'string', aliases: ['storage', 'storage conditions'] },
+  { field: 'specifications.packagingOptions', type: 'list', aliases: ['packaging', 'packaging options'] },
+  { field: 'translations.ar.name', type: 'string', aliases: ['name ar', 'arabic name'] },
+  { field: 'translations.ar.description', type: 'string', aliases: ['description ar', 'arabic description'] },
+  { field: 'translations.ar.origin', type: 'string', aliases: ['origin ar', 'arabic origin'] }
+];
+
+const MAX_ROWS = 1000;
+
+// "Meta Title", "meta_title" and "metaTitle" all match the same field
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const FIELDS_BY_HEADER = {};
+IMPORT_FIELDS.forEach(({ field, aliases }) => {
+  [field, ...aliases].forEach(alias => {
+    FIELDS_BY_HEADER[normalizeHeader(alias)] = field;
+  });
+});
+
+// Map each column to a product field, from an explicit { header: field }
+// mapping or by recognising the headers. Returns { mapping, unmapped } or
+// throws when an explicit mapping refers to unknown headers or fields.
+const resolveMapping = (headers, explicitMapping) => {
+  const mapping = {};
+
+  if (explicitMapping) {
+    Object.entries(explicitMapping).forEach(([header, field]) => {
+      if (!field) return;
+      if (!headers.includes(header)) {
+        throw new Error(`Column "${header}" is not in the file`);
+      }
+      if (!IMPORT_FIELDS.some(definition => definition.field === field)) {
+        throw new Error(`Unknown product field "${field}"`);
+      }
+      mapping[header] = field;
+    });
+  } else {
+    headers.forEach(header => {
+      const field = FIELDS_BY_HEADER[normalizeHeader(header)];
+      if (field) mapping[header] = field;
+    });
+  }
+
+  const mappedFields = Object.values(mapping);
+  const duplicate = mappedFields.find((field, index) => mappedFields.indexOf(field) !== index);
+  if (duplicate) {
+    throw new Error(`More than one column is mapped to "${duplicate}"`);
+  }
+
+  return {
+    mapping,
+    unmapped: headers.filter(header => !mapping[header])
+  };
+};
+
+// Categories keyed by lowercased name and by slug
+const loadCategoryLookup = async () => {
+  const categories = await Category.find().select('name slug');
+  const lookup = new Map();
+  categories.forEach(category => {
+    lookup.set(category.name.toLowerCase(), category._id);
+    if (category.slug) lookup.set(category.slug, category._id);
+  });
+  return lookup;
+};
+
+// Certificates keyed by lowercased name and by certificate number. Keys
+// shared by several certificates map to null so they aren't guessed.
+const loadCertificateLookup = async () => {
+  const certificates = await Certificate.find().select('name certificateNumber');
+  const lookup = new Map();
+  const add = (key, id) => lookup.set(key, lookup.has(key) ? null : id);
+  certificates.forEach(certificate => {
+    add(certificate.name.toLowerCase(), certificate._id);
+    if (certificate.certificateNumber) add(certificate.certificateNumber.toLowerCase(), certificate._id);
+  });
+  return lookup;
+};
+
+const parseValue = (text, type, { categories, certificates }) => {
+  switch (type) {
+    case 'number': {
+      const number = Number(text.replace(/,/g, ''));
+      if (!Number.isFinite(number)) throw new Error('must be a number');
+      return number;
+    }
+    case 'boolean': {
+      const value = text.toLowerCase();
+      if (['true', 'yes', 'y', '1'].includes(value)) return true;
+      if (['false', 'no', 'n', '0'].includes(value)) return false;
+      throw new Error('must be yes/no or true/false');
+    }
+    case 'list':
+      return text.split(/[,;|]/).map(item => item.trim()).filter(Boolean);
+    case 'category': {
+      const category = categories.get(text.toLowerCase());
+      if (!category) throw new Error(`category "${text}" does not exist`);
+      return category;
+    }
+    case 'certificates':
+      return parseValue(text, 'list', {}).map(name => {
+        const certificate = certificates.get(name.toLowerCase());
+        if (certificate === undefined) throw new Error(`certificate "${name}" does not exist`);
+        if (certificate === null) throw new Error(`"${name}" matches several certificates; use the certificate number`);
+        return certificate;
+      }).filter((certificate, index, all) => all.findIndex(other => other.equals(certificate)) === index);
+    default:
+      return text;
+  }
+};
+
+// Turn one row into product data, collecting conversion errors per field
+const buildProductData = (values, mapping, lookups) => {
+  const data = { image: PLACEHOLDER_IMAGE };
+  const errors = [];
+
+  Object.entries(mapping).forEach(([header, field]) => {
+    const text = values[header];
+    if (text === undefined || text === '') return;
+
+    const { type } = IMPORT_FIELDS.find(definition => definition.field === field);
+    try {
+      const value = parseValue(text, type, lookups);
+      const path = field.split('.');
+      let target = data;
+      path.slice(0, -1).forEach(key => {
+        target[key] = target[key] || {};
+        target = target[key];
+      });
+      target[path[path.length - 1]] = value;
+    } catch (error) {
+      errors.push({ field, message: `${header}: ${error.message}` });
+    }
+  });
+
+  return { data, errors };
+};
+
+// Give a product a slug not used by the database or earlier rows of the file
+const reserveSlug = async (product, usedSlugs) => {
+  if (!usedSlugs.has(product.slug)) {
+    usedSlugs.add(product.slug);
+    return;
+  }
+
+  const base = product.slug;
+  let suffix = 2;
+  while (usedSlugs.has(`${base}-${suffix}`) || await Product.exists({ slug: `${base}-${suffix}` }).withDeleted()) {
+    suffix++;
+  }
+  product.slug = `${base}-${suffix}`;
+  usedSlugs.add(product.slug);
+};
+
+// Validate every row against the Product schema. Returns the report for each
+// row and the documents ready to insert (only when every row is valid).
+const prepareImport = async (rows, mapping) => {
+  const [categories, certificates] = await Promise.all([loadCategoryLookup(), loadCertificateLookup()]);
+  const usedSlugs = new Set();
+  const report = [];
+  const products = [];
+
+  for (const { rowNumber, values } of rows) {
+    const { data, errors } = buildProductData(values, mapping, { categories, certificates });
+    const product = new Product(data);
+
+    try {
+      await product.validate();
+    } catch (error) {
+      if (error.name !== 'ValidationError') throw error;
+      Object.values(error.errors)
+        // Conversion errors already explain fields that failed to parse
+        .filter(err => !errors.some(existing => existing.field === err.path))
+        .forEach(err => errors.push({ field: err.path, message: err.message }));
+    }
+
+    if (errors.length === 0) {
+      await reserveSlug(product, usedSlugs);
+      products.push(product);
+    }
+
+    report.push({
+      row: rowNumber,
+      status: errors.length === 0 ? 'valid' : 'invalid',
+      name: data.name,
+      slug: errors.length === 0 ? product.slug : undefined,
+      errors
+    });
+  }
+
+  const invalid = report.filter(row => row.status === 'invalid').length;
+  return { report, products: invalid === 0 ? products : [], invalid };
+};
+
+// Insert all prepared products, removing any that got in if the batch fails
+const commitImport = async (products) => {
+  try {
+    return await Product.insertMany(products, { ordered: true });
+  } catch (error) {
+    await Product.deleteMany({ _id: { $in: products.map(product => product._id) } });
+    throw error;
+  }
+};
+
+module.exports = {
+  IMPORT_FIELDS,
+  MAX_ROWS,
+  resolveMapping,
+  prepareImport,
+  commitImport
+};
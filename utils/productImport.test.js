@@ -0,0 +1,120 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Certificate = require('../models/Certificate');
+const { resolveMapping, prepareImport } = require('./productImport');
+
+const spicesId = new mongoose.Types.ObjectId();
+const organicId = new mongoose.Types.ObjectId();
+
+// Stand in for the categories, certificates and slugs in the database
+const mockDatabase = (t, { takenSlugs = [] } = {}) => {
+  t.mock.method(Category, 'find', () => ({
+    select: async () => [{ _id: spicesId, name: 'Whole Spices', slug: 'whole-spices' }]
+  }));
+  t.mock.method(Certificate, 'find', () => ({
+    select: async () => [{ _id: organicId, name: 'EU Organic', certificateNumber: 'EU-123' }]
+  }));
+  t.mock.method(Product, 'exists', ({ slug }) => ({
+    withDeleted: async () => (takenSlugs.includes(slug) ? { _id: 'other' } : null),
+    onlyDeleted: async () => null
+  }));
+};
+
+test('resolveMapping recognises headers by field name or alias', () => {
+  const { mapping, unmapped } = resolveMapping(['Product Name', 'meta_title', 'HS Code', 'Notes']);
+
+  assert.deepStrictEqual(mapping, {
+    'Product Name': 'name',
+    meta_title: 'metaTitle',
+    'HS Code': 'specifications.hsCode'
+  });
+  assert.deepStrictEqual(unmapped, ['Notes']);
+});
+
+test('resolveMapping follows an explicit mapping and checks it', () => {
+  const headers = ['Title', 'Cost'];
+
+  assert.deepStrictEqual(resolveMapping(headers, { Title: 'name', Cost: 'price' }).mapping, { Title: 'name', Cost: 'price' });
+  assert.deepStrictEqual(resolveMapping(headers, { Title: 'name', Cost: '' }).unmapped, ['Cost']);
+  assert.throws(() => resolveMapping(headers, { Weight: 'name' }), /Column "Weight" is not in the file/);
+  assert.throws(() => resolveMapping(headers, { Title: 'password' }), /Unknown product field "password"/);
+  assert.throws(() => resolveMapping(headers, { Title: 'name', Cost: 'name' }), /More than one column is mapped to "name"/);
+});
+
+test('prepareImport converts rows into products ready to insert', async (t) => {
+  mockDatabase(t);
+  const { mapping } = resolveMapping(['name', 'description', 'category', 'price', 'tags', 'certifications', 'featured', 'moisture']);
+
+  const { report, products, invalid } = await prepareImport([{
+    rowNumber: 2,
+    values: {
+      name: 'Black Pepper',
+      description: 'Malabar garbled',
+      category: 'whole-spices',
+      price: '1,250.50',
+      tags: 'pepper; whole',
+      certifications: 'eu organic, EU-123',
+      featured: 'yes',
+      moisture: '11'
+    }
+  }], mapping);
+
+  assert.strictEqual(invalid, 0);
+  assert.deepStrictEqual(report, [{ row: 2, status: 'valid', name: 'Black Pepper', slug: 'black-pepper', errors: [] }]);
+
+  const [product] = products;
+  assert.ok(product.category.equals(spicesId));
+  assert.strictEqual(product.price, 1250.5);
+  assert.deepStrictEqual([...product.tags], ['pepper', 'whole']);
+  assert.deepStrictEqual(product.certifications.map(String), [organicId.toString()]);
+  assert.strictEqual(product.featured, true);
+  assert.strictEqual(product.specifications.moisturePercent, 11);
+});
+
+test('prepareImport reports every invalid row and imports nothing', async (t) => {
+  mockDatabase(t);
+  const { mapping } = resolveMapping(['name', 'description', 'category', 'price', 'featured', 'certifications']);
+  const valid = { name: 'Clove', description: 'Whole', category: 'Whole Spices' };
+
+  const { report, products, invalid } = await prepareImport([
+    { rowNumber: 2, values: valid },
+    { rowNumber: 3, values: { ...valid, category: 'Teas', price: 'cheap', featured: 'maybe', certifications: 'Fair Trade' } }
+  ], mapping);
+
+  assert.strictEqual(invalid, 1);
+  assert.deepStrictEqual(products, []);
+  assert.strictEqual(report[0].status, 'valid');
+  assert.deepStrictEqual(report[1].errors.map(error => error.message), [
+    'category: category "Teas" does not exist',
+    'price: must be a number',
+    'featured: must be yes/no or true/false',
+    'certifications: certificate "Fair Trade" does not exist'
+  ]);
+});
+
+test('prepareImport keeps slugs unique across the file', async (t) => {
+  mockDatabase(t);
+  const { mapping } = resolveMapping(['name', 'description', 'category']);
+  const values = { name: 'Clove', description: 'Whole', category: 'whole-spices' };
+
+  const { report } = await prepareImport([
+    { rowNumber: 2, values },
+    { rowNumber: 3, values }
+  ], mapping);
+
+  assert.deepStrictEqual(report.map(row => row.slug), ['clove', 'clove-2']);
+});
+
+test('prepareImport skips slugs already used in the database', async (t) => {
+  mockDatabase(t, { takenSlugs: ['clove'] });
+  const { mapping } = resolveMapping(['name', 'description', 'category']);
+
+  const { report } = await prepareImport([
+    { rowNumber: 2, values: { name: 'Clove', description: 'Whole', category: 'whole-spices' } }
+  ], mapping);
+
+  assert.strictEqual(report[0].slug, 'clove-2');
+});
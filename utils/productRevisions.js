@@ -0,0 +1,113 @@
+const ProductRevision = require('../models/ProductRevision');
+const { normalize, diffObjects } = require('./diff');
+
+// Product content kept in revisions. Images are left out since removed
+// images are deleted from Cloudinary, and stock only changes through movements.
+const REVISION_FIELDS = [
+  'name',
+  'slug',
+  'description',
+  'metaTitle',
+  'metaDescription',
+  'ogImage',
+  'category',
+  'price',
+  'featured',
+  'tags',
+  'specifications',
+  'nutritionalInfo',
+  'origin',
+  'certifications',
+  'lowStockThreshold',
+  'variants',
+  'translations'
+];
+
+const VARIANT_STOCK_FIELDS = ['quantityOnHand', 'quantityReserved', 'stockStatus'];
+
+// Plain copy of a product's revisioned fields
+const takeSnapshot = (product) => {
+  const data = product.toObject({ depopulate: true });
+  const snapshot = {};
+
+  REVISION_FIELDS.forEach(field => {
+    if (data[field] !== undefined) snapshot[field] = data[field];
+  });
+
+  if (snapshot.variants) {
+    snapshot.variants = snapshot.variants.map(variant => {
+      const content = { ...variant };
+      VARIANT_STOCK_FIELDS.forEach(field => delete content[field]);
+      return content;
+    });
+  }
+
+  return normalize(snapshot);
+};
+
+// Create the revision after the latest one, preceded by a baseline for
+// products that have no revisions yet
+const createNextRevision = async (product, before, data) => {
+  const latest = await ProductRevision.findOne({ product: product._id })
+    .sort({ revision: -1 })
+    .select('revision');
+  let revision = latest ? latest.revision : 0;
+
+  if (!latest && before) {
+    await ProductRevision.create({
+      product: product._id,
+      revision: ++revision,
+      action: 'baseline',
+      snapshot: before
+    });
+  }
+
+  return ProductRevision.create({
+    product: product._id,
+    revision: ++revision,
+    ...data
+  });
+};
+
+// Attempts at claiming the next revision number when concurrent saves race for it
+const MAX_REVISION_ATTEMPTS = 5;
+
+// Store a revision for a product that was just saved. before is the snapshot
+// taken before the change, or null for a new product. Products saved before
+// revisions existed first get a baseline revision of their previous state.
+// Saves that leave the revisioned fields alone are skipped. Errors are logged
+// rather than thrown since the product itself has already been saved.
+const recordRevision = async (req, product, before, { action = 'update', restoredFrom } = {}) => {
+  try {
+    const snapshot = takeSnapshot(product);
+    const changes = diffObjects(before, snapshot);
+    if (before && changes.length === 0) return null;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await createNextRevision(product, before, {
+          action,
+          restoredFrom,
+          snapshot,
+          changes,
+          author: req.user && req.user._id,
+          authorEmail: req.user && req.user.email,
+          apiKey: req.apiKey && req.apiKey._id
+        });
+      } catch (error) {
+        // Another save took the number; the unique index rejects the duplicate
+        if (error.code !== 11000 || attempt >= MAX_REVISION_ATTEMPTS) throw error;
+      }
+    }
+
+  } catch (error) {
+    console.error('Product revision error:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  REVISION_FIELDS,
+  takeSnapshot,
+  recordRevision
+};
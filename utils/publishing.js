@@ -0,0 +1,73 @@
+const Product = require('../models/Product');
+
+const PRODUCT_STATUSES = Product.schema.path('status').enumValues;
+
+// Statuses that only users with products:publish can set
+const PUBLISHING_STATUSES = ['published', 'archived'];
+
+// Statuses a scheduled publish applies to
+const SCHEDULABLE_STATUSES = ['draft', 'in_review'];
+
+// Products created before the publishing workflow were all public, so they
+// start out published rather than as drafts. Runs when the server connects
+// to the database; updateMany skips the soft delete filter, so trashed
+// products are included. Returns the number of products updated.
+const publishLegacyProducts = async () => {
+  const result = await Product.updateMany(
+    { status: { $exists: false } },
+    [{ $set: { status: 'published', publishedAt: '$createdAt' } }]
+  );
+  return result.modifiedCount;
+};
+
+// Publish products whose publish date has passed and archive those whose
+// unpublish date has passed. The status is checked again in each update so a
+// product changed in the meantime is left alone. Returns audit entries.
+const processSchedules = async (now = new Date()) => {
+  const entries = [];
+
+  const due = await Product.find({ status: { $in: SCHEDULABLE_STATUSES }, publishAt: { $lte: now } })
+    .select('name status');
+  for (const product of due) {
+    const result = await Product.updateOne(
+      { _id: product._id, status: product.status, publishAt: { $lte: now } },
+      { $set: { status: 'published', publishedAt: now }, $unset: { publishAt: 1 } }
+    );
+    if (result.modifiedCount > 0) {
+      entries.push({
+        action: 'scheduled_publish',
+        entityType: 'product',
+        entityId: product._id,
+        entityName: product.name,
+        changes: [{ field: 'status', before: product.status, after: 'published' }]
+      });
+    }
+  }
+
+  const expired = await Product.find({ status: 'published', unpublishAt: { $lte: now } })
+    .select('name');
+  for (const product of expired) {
+    const result = await Product.updateOne(
+      { _id: product._id, status: 'published', unpublishAt: { $lte: now } },
+      { $set: { status: 'archived' }, $unset: { unpublishAt: 1 } }
+    );
+    if (result.modifiedCount > 0) {
+      entries.push({
+        action: 'scheduled_unpublish',
+        entityType: 'product',
+        entityId: product._id,
+        entityName: product.name,
+        changes: [{ field: 'status', before: 'published', after: 'archived' }]
+      });
+    }
+  }
+
+  return entries;
+};
+
+module.exports = {
+  PRODUCT_STATUSES,
+  PUBLISHING_STATUSES,
+  publishLegacyProducts,
+  processSchedules
+};
@@ -0,0 +1,126 @@
+const Certificate = require('../models/Certificate');
+const {
+  BRAND,
+  fetchImage,
+  loadContactLine,
+  createDocument,
+  drawSectionTitle,
+  drawKeyValueTable,
+  decoratePages
+} = require('./pdf');
+
+const IMAGE_SIZE = 180;
+
+const withUnit = (value, unit) => (value === undefined || value === null ? undefined : `${value} ${unit}`);
+const percent = (value, qualifier) => (value === undefined || value === null ? undefined : `${qualifier} ${value}%`);
+
+const specificationRows = (spec) => [
+  ['HS code', spec.hsCode],
+  ['Botanical name', spec.botanicalName],
+  ['Form', spec.form],
+  ['Cut / mesh size', spec.cutSize && spec.cutSize.unit ? withUnit(spec.cutSize.value, spec.cutSize.unit) : undefined],
+  ['Moisture', percent(spec.moisturePercent, 'max')],
+  ['Total ash', percent(spec.ashPercent, 'max')],
+  ['Volatile oil', percent(spec.volatileOilPercent, 'min')],
+  ['Purity', percent(spec.purityPercent, 'min')],
+  ['Shelf life', spec.shelfLife && spec.shelfLife.unit ? withUnit(spec.shelfLife.value, spec.shelfLife.unit) : undefined],
+  ['Storage', spec.storageConditions],
+  ['Packaging options', (spec.packagingOptions || []).join(', ')]
+];
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : undefined);
+
+// One row per certificate: issuer, number and validity
+const certificationRows = (certificates) => certificates.filter(Boolean).map(certificate => [
+  certificate.name,
+  [
+    certificate.issuer,
+    certificate.certificateNumber && `No. ${certificate.certificateNumber}`,
+    certificate.expiryDate && `${Certificate.isExpired(certificate) ? 'Expired' : 'Valid until'} ${formatDate(certificate.expiryDate)}`
+  ].filter(Boolean).join('  |  ') || '-'
+]);
+
+const nutritionRows = (info) => [
+  ['Energy', withUnit(info.calories, 'kcal')],
+  ['Protein', withUnit(info.protein, 'g')],
+  ['Carbohydrates', withUnit(info.carbs, 'g')],
+  ['Fat', withUnit(info.fat, 'g')],
+  ['Fibre', withUnit(info.fiber, 'g')]
+];
+
+// Render a product's specification sheet. Expects the category and
+// certifications populated.
+// Returns the PDFKit document, ready to be sent with sendDocument().
+const renderSpecSheet = async (product) => {
+  const [image, contactLine] = await Promise.all([
+    fetchImage(product.image, IMAGE_SIZE * 3),
+    loadContactLine()
+  ]);
+
+  const doc = createDocument(`${product.name} - Specification sheet`);
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+  const top = doc.y;
+  const textWidth = image ? right - left - IMAGE_SIZE - 20 : right - left;
+
+  if (image) {
+    try {
+      doc.image(image, right - IMAGE_SIZE, top, { fit: [IMAGE_SIZE, IMAGE_SIZE], align: 'center', valign: 'center' });
+    } catch (error) {
+      console.error('Embed spec sheet image error:', error.message);
+    }
+  }
+
+  doc.font('Helvetica-Bold').fontSize(22).fillColor(BRAND.text).text(product.name, left, top, { width: textWidth });
+  if (product.category && product.category.name) {
+    doc.font('Helvetica').fontSize(11).fillColor(BRAND.color).text(product.category.name, { width: textWidth });
+  }
+  const spec = product.specifications || {};
+  if (spec.botanicalName) {
+    doc.font('Helvetica-Oblique').fontSize(11).fillColor(BRAND.muted).text(spec.botanicalName, { width: textWidth });
+  }
+  doc.moveDown(0.6);
+  doc.font('Helvetica').fontSize(10).fillColor(BRAND.text).text(product.description, { width: textWidth, align: 'justify' });
+
+  doc.x = left;
+  doc.y = Math.max(doc.y, image ? top + IMAGE_SIZE : 0);
+
+  drawSectionTitle(doc, 'Product details');
+  drawKeyValueTable(doc, [
+    ['Origin', product.origin],
+    ['Tags', (product.tags || []).join(', ')]
+  ]);
+
+  const specRows = specificationRows(spec);
+  if (specRows.some(([, value]) => value)) {
+    drawSectionTitle(doc, 'Specifications');
+    drawKeyValueTable(doc, specRows);
+  }
+
+  const nutrition = nutritionRows(product.nutritionalInfo || {});
+  if (nutrition.some(([, value]) => value)) {
+    drawSectionTitle(doc, 'Nutritional information (per 100 g)');
+    drawKeyValueTable(doc, nutrition);
+  }
+
+  if (product.variants && product.variants.length > 0) {
+    drawSectionTitle(doc, 'Pack sizes');
+    drawKeyValueTable(doc, product.variants.map(variant => [
+      variant.sku,
+      [variant.label || `${variant.packSize} ${variant.packUnit}`, `MOQ ${variant.moq}`].join('  |  ')
+    ]));
+  }
+
+  const certifications = certificationRows(product.certifications || []);
+  if (certifications.length > 0) {
+    drawSectionTitle(doc, 'Certifications');
+    drawKeyValueTable(doc, certifications);
+  }
+
+  decoratePages(doc, { title: 'Product specification sheet', footer: contactLine });
+  return doc;
+};
+
+module.exports = {
+  renderSpecSheet
+};
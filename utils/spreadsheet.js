@@ -0,0 +1,75 @@
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const { unescapeCsvValue } = require('./csv');
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Work out the format of an uploaded file from its name and MIME type
+const detectFormat = (file) => {
+  const name = (file.originalname || '').toLowerCase();
+  if (name.endsWith('.xlsx') || file.mimetype === XLSX_MIME_TYPE) return 'xlsx';
+  if (name.endsWith('.csv') || ['text/csv', 'application/csv', 'text/plain'].includes(file.mimetype)) return 'csv';
+  return null;
+};
+
+// Plain text for a cell, whatever kind of value Excel stored in it
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('').trim();
+    if (value.text !== undefined) return String(value.text).trim();
+    if (value.result !== undefined) return String(value.result).trim();
+    return '';
+  }
+  return String(value).trim();
+};
+
+// Read the first sheet of a CSV or XLSX buffer. The first row holds the
+// headers; returns each non-empty row as { rowNumber, values } keyed by header.
+const readRows = async (buffer, format) => {
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+
+  if (format === 'xlsx') {
+    await workbook.xlsx.load(buffer);
+    worksheet = workbook.worksheets[0];
+  } else {
+    // Keep CSV values as text instead of letting exceljs guess numbers and
+    // dates, dropping the formula escape added by our own exports
+    worksheet = await workbook.csv.read(Readable.from(buffer), { map: unescapeCsvValue });
+  }
+
+  if (!worksheet || worksheet.rowCount === 0) {
+    return { headers: [], rows: [] };
+  }
+
+  const headers = [];
+  worksheet.getRow(1).eachCell({ includeEmpty: true }, (cell, column) => {
+    headers[column - 1] = cellText(cell.value);
+  });
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values = {};
+    let hasValue = false;
+    headers.forEach((header, index) => {
+      if (!header) return;
+      const text = cellText(row.getCell(index + 1).value);
+      values[header] = text;
+      if (text) hasValue = true;
+    });
+
+    if (hasValue) rows.push({ rowNumber, values });
+  });
+
+  return { headers: headers.filter(Boolean), rows };
+};
+
+module.exports = {
+  XLSX_MIME_TYPE,
+  detectFormat,
+  readRows
+};
@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_ACCESS_EXPIRE || '15m';
+const TWO_FACTOR_CHALLENGE_EXPIRE = '5m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+// Minimum time between lastSeenAt writes for the same session
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+// Hash opaque tokens before they are stored or looked up
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const getRefreshTokenExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+// Sign a short-lived access token bound to a session
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId.toString() }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRE,
+    jwtid: crypto.randomUUID()
+  });
+};
+
+// Create and store a new refresh token, returning the plain value once
+const createRefreshToken = async (userId, session, req) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+
+  await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    session: session._id,
+    expiresAt: session.expiresAt,
+    createdByIp: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  return token;
+};
+
+// Record a new login session for a user
+const createSession = (user, req) => {
+  const userAgent = req.get('User-Agent');
+
+  return Session.create({
+    user: user._id,
+    userAgent,
+    device: Session.describeUserAgent(userAgent),
+    ipAddress: req.ip,
+    lastSeenIp: req.ip,
+    expiresAt: getRefreshTokenExpiry()
+  });
+};
+
+// Issue an access/refresh token pair, starting a new session unless one is given
+const issueTokens = async (user, req, session = null) => {
+  if (!session) {
+    session = await createSession(user, req);
+  } else {
+    session.expiresAt = getRefreshTokenExpiry();
+    session.lastSeenAt = new Date();
+    session.lastSeenIp = req.ip;
+    await session.save();
+  }
+
+  const accessToken = generateAccessToken(user._id, session._id);
+  const refreshToken = await createRefreshToken(user._id, session, req);
+
+  return {
+    token: accessToken,
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRE
+  };
+};
+
+// Challenge tokens use their own key so they can never pass as access tokens
+const getTwoFactorChallengeSecret = () => `${process.env.JWT_SECRET}:two-factor`;
+
+// Sign a short-lived token proving the password step of a login succeeded
+const generateTwoFactorChallenge = (userId) => {
+  return jwt.sign({ id: userId }, getTwoFactorChallengeSecret(), {
+    expiresIn: TWO_FACTOR_CHALLENGE_EXPIRE
+  });
+};
+
+// Decode a challenge token, returning null when it is invalid or expired
+const verifyTwoFactorChallenge = (token) => {
+  try {
+    return jwt.verify(token, getTwoFactorChallengeSecret());
+  } catch (error) {
+    return null;
+  }
+};
+
+// Exchange a refresh token for a new pair. Reusing a rotated token revokes
+// its whole session, since it means the token has been copied.
+const rotateRefreshToken = async (token, req) => {
+  const tokenHash = hashToken(token);
+
+  // Claim the token before anything else so that concurrent refreshes with
+  // the same token can't both get a new pair: only one of them finds it unrevoked
+  const stored = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date() } },
+    { new: true }
+  )
+    .populate('user')
+    .populate('session');
+
+  if (!stored) {
+    const rotated = await RefreshToken.findOne({ tokenHash });
+    if (!rotated) {
+      return { error: 'Invalid refresh token' };
+    }
+
+    await revokeSession(rotated.session);
+    return { error: 'Refresh token has been revoked' };
+  }
+
+  if (stored.expiresAt <= new Date()) {
+    return { error: 'Refresh token expired' };
+  }
+
+  if (!stored.session || stored.session.revokedAt) {
+    return { error: 'Session has been revoked' };
+  }
+
+  const user = stored.user;
+  if (!user || !user.isActive) {
+    await revokeSession(stored.session._id);
+    return { error: 'Account is deactivated' };
+  }
+
+  const tokens = await issueTokens(user, req, stored.session);
+  await RefreshToken.updateOne({ _id: stored._id }, { $set: { replacedBy: hashToken(tokens.refreshToken) } });
+
+  return { user, tokens };
+};
+
+// Revoke a session and every refresh token issued from it. Access tokens
+// carrying the session ID are rejected by the auth middleware from then on.
+const revokeSession = async (sessionId) => {
+  if (!sessionId) return;
+
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date() } }
+  );
+  await RefreshToken.updateMany(
+    { session: sessionId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+// Add an access token to the revocation list until it expires
+const revokeAccessToken = async (decoded) => {
+  if (!decoded || !decoded.jti) return;
+
+  await RevokedToken.updateOne(
+    { jti: decoded.jti },
+    {
+      $setOnInsert: {
+        jti: decoded.jti,
+        user: decoded.id,
+        expiresAt: new Date(decoded.exp * 1000)
+      }
+    },
+    { upsert: true }
+  );
+};
+
+// Invalidate every session of a user: refresh tokens are revoked and
+// access tokens issued before now are rejected by the auth middleware.
+// The cutoff is truncated to whole seconds to match the JWT iat claim, so
+// tokens issued right after the call stay valid.
+const revokeAllUserTokens = async (user) => {
+  await Session.updateMany(
+    { user: user._id, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date() } }
+  );
+  await RefreshToken.updateMany(
+    { user: user._id, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  user.tokensRevokedAt = new Date(Math.floor(Date.now() / 1000) * 1000);
+  await User.updateOne({ _id: user._id }, { $set: { tokensRevokedAt: user.tokensRevokedAt } });
+};
+
+// Check whether an access token has been revoked
+const isAccessTokenRevoked = async (decoded, user) => {
+  if (user.tokensRevokedAt && decoded.iat < user.tokensRevokedAt.getTime() / 1000) {
+    return true;
+  }
+
+  if (decoded.jti && await RevokedToken.exists({ jti: decoded.jti })) {
+    return true;
+  }
+
+  return false;
+};
+
+// Load the active session an access token belongs to, or null if it has
+// been revoked. lastSeenAt is refreshed at most once a minute.
+const touchSession = async (decoded, req) => {
+  if (!decoded.sid || !mongoose.Types.ObjectId.isValid(decoded.sid)) return null;
+
+  const session = await Session.findById(decoded.sid);
+  if (!session || session.revokedAt || !session.user.equals(decoded.id)) return null;
+
+  const now = Date.now();
+  if (!session.lastSeenAt || now - session.lastSeenAt.getTime() > LAST_SEEN_INTERVAL_MS || session.lastSeenIp !== req.ip) {
+    session.lastSeenAt = new Date(now);
+    session.lastSeenIp = req.ip;
+    await Session.updateOne(
+      { _id: session._id },
+      { $set: { lastSeenAt: session.lastSeenAt, lastSeenIp: session.lastSeenIp } }
+    );
+  }
+
+  return session;
+};
+
+module.exports = {
+  hashToken,
+  generateAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  revokeSession,
+  revokeAccessToken,
+  revokeAllUserTokens,
+  isAccessTokenRevoked,
+  touchSession
+};
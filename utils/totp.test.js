@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  getStep,
+  verifyCode,
+  buildOtpAuthUri
+} = require('./totp');
+
+// RFC 6238 test secret ("12345678901234567890") and its SHA1 codes
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+test('base32 round-trips bytes and follows RFC 4648', () => {
+  assert.strictEqual(base32Encode(Buffer.from('foobar')), 'MZXW6YTBOI');
+  assert.strictEqual(base32Decode('mzxw 6ytb oi======').toString(), 'foobar');
+
+  const bytes = Buffer.from([0, 1, 2, 250, 255]);
+  assert.deepStrictEqual(base32Decode(base32Encode(bytes)), bytes);
+});
+
+test('base32Decode rejects characters outside the alphabet', () => {
+  assert.throws(() => base32Decode('ABC1'), /Invalid base32 character/);
+});
+
+test('generateSecret returns a 160-bit base32 secret', () => {
+  const secret = generateSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.strictEqual(base32Decode(secret).length, 20);
+});
+
+test('generateCode matches the RFC 6238 SHA1 test vectors', () => {
+  assert.strictEqual(generateCode(RFC_SECRET, getStep(59 * 1000)), '287082');
+  assert.strictEqual(generateCode(RFC_SECRET, getStep(1111111109 * 1000)), '081804');
+  assert.strictEqual(generateCode(RFC_SECRET, getStep(2000000000 * 1000)), '279037');
+});
+
+test('verifyCode accepts codes within the drift window and returns their step', () => {
+  const secret = generateSecret();
+  const step = getStep();
+
+  assert.strictEqual(verifyCode(secret, generateCode(secret, step)), step);
+  assert.strictEqual(verifyCode(secret, generateCode(secret, step - 1)), step - 1);
+  assert.strictEqual(verifyCode(secret, generateCode(secret, step - 3)), null);
+  assert.strictEqual(verifyCode(secret, generateCode(secret, step - 3), 3), step - 3);
+});
+
+test('verifyCode rejects malformed codes and missing secrets', () => {
+  const secret = generateSecret();
+  assert.strictEqual(verifyCode(secret, '12345'), null);
+  assert.strictEqual(verifyCode(secret, 'abcdef'), null);
+  assert.strictEqual(verifyCode(secret, undefined), null);
+  assert.strictEqual(verifyCode(null, '123456'), null);
+});
+
+test('buildOtpAuthUri encodes the label and parameters', () => {
+  const uri = buildOtpAuthUri('JBSWY3DPEHPK3PXP', 'owner@example.com', 'Herbs & Co');
+  const [label, query] = uri.split('?');
+  const params = new URLSearchParams(query);
+
+  assert.strictEqual(label, 'otpauth://totp/Herbs%20%26%20Co%3Aowner%40example.com');
+  assert.strictEqual(params.get('secret'), 'JBSWY3DPEHPK3PXP');
+  assert.strictEqual(params.get('issuer'), 'Herbs & Co');
+  assert.strictEqual(params.get('digits'), '6');
+  assert.strictEqual(params.get('period'), '30');
+});
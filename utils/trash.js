@@ -0,0 +1,94 @@
+const Product = require('../models/Product');
+const Certificate = require('../models/Certificate');
+const TeamMember = require('../models/TeamMember');
+const ProductRevision = require('../models/ProductRevision');
+const { deleteImages, deleteRaw } = require('../config/cloudinary');
+
+// Days a document stays in the trash before it is purged for good
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Trashable entity types keyed by their audit entityType. getFiles returns
+// the Cloudinary assets removed when a document is purged, purgeRelated
+// removes records that only make sense with the document.
+const TRASH_TYPES = {
+  product: {
+    Model: Product,
+    permission: 'products:delete',
+    label: 'Product',
+    getFiles: (product) => product.getImagePublicIds().map(publicId => ({ publicId, type: 'image' })),
+    purgeRelated: (product) => ProductRevision.deleteMany({ product: product._id })
+  },
+  certificate: {
+    Model: Certificate,
+    permission: 'certificates:delete',
+    label: 'Certificate',
+    getFiles: (certificate) => [
+      { publicId: certificate.imagePublicId, type: 'image' },
+      { publicId: certificate.documentPublicId, type: 'raw' }
+    ],
+    // Trashed certificates are hidden from products; purged ones are removed
+    purgeRelated: (certificate) => Product.updateMany(
+      { certifications: certificate._id },
+      { $pull: { certifications: certificate._id } }
+    )
+  },
+  team_member: {
+    Model: TeamMember,
+    permission: 'team:delete',
+    label: 'Team member',
+    getFiles: (teamMember) => [{ publicId: teamMember.imagePublicId, type: 'image' }]
+  }
+};
+
+const getPurgeDate = (deletedAt) => new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+// Delete files one by one, logging rather than failing on errors
+const deleteFiles = async (files) => {
+  const images = files.filter(file => file.publicId && file.type === 'image').map(file => file.publicId);
+  await deleteImages(images);
+
+  for (const file of files.filter(file => file.publicId && file.type === 'raw')) {
+    try {
+      await deleteRaw(file.publicId);
+    } catch (error) {
+      console.error('Error deleting document:', error);
+    }
+  }
+};
+
+// Remove a trashed document and its files for good
+const purgeItem = async (type, doc) => {
+  const { Model, getFiles, purgeRelated } = TRASH_TYPES[type];
+  await Model.deleteOne({ _id: doc._id });
+  if (purgeRelated) await purgeRelated(doc);
+  await deleteFiles(getFiles(doc));
+};
+
+// Purge every document that has been in the trash longer than the retention
+// period. Returns the purged items for the audit log.
+const purgeExpired = async () => {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const purged = [];
+
+  for (const [type, { Model }] of Object.entries(TRASH_TYPES)) {
+    const expired = await Model.find({ deletedAt: { $lte: cutoff } });
+    for (const doc of expired) {
+      try {
+        await purgeItem(type, doc);
+        purged.push({ action: 'purge', entityType: type, entityId: doc._id, entityName: doc.name });
+      } catch (error) {
+        console.error(`Purge ${type} ${doc._id} error:`, error);
+      }
+    }
+  }
+
+  return purged;
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  TRASH_TYPES,
+  getPurgeDate,
+  purgeItem,
+  purgeExpired
+};